@@ -0,0 +1,63 @@
+/**
+ * Camera
+ * Which part of the world the canvas shows. Positions are fractions of the world's width and
+ * height, and viewport points fractions of the canvas, so the view stays put when the grid is
+ * resampled to another particle size. At zoom 1 the whole world is in view; zooming in never
+ * shows anything past the world's edges.
+ */
+
+export class Camera {
+    constructor({ maxZoom = 32 } = {}) {
+        this.maxZoom = maxZoom;
+        this.reset();
+    }
+
+    // Show the whole world
+    reset() {
+        this.zoom = 1;
+        this.x = 0; // world point at the top left corner of the viewport
+        this.y = 0;
+    }
+
+    // World point under a viewport point (u, v), both in [0, 1]
+    toWorld(u, v) {
+        return { x: this.x + u / this.zoom, y: this.y + v / this.zoom };
+    }
+
+    // Viewport point of a world point; outside [0, 1] when it is out of view
+    toViewport(x, y) {
+        return { u: (x - this.x) * this.zoom, v: (y - this.y) * this.zoom };
+    }
+
+    // Zoom by factor, keeping the world point under (u, v) where it is
+    zoomAt(u, v, factor) {
+        const anchor = this.toWorld(u, v);
+        this.zoom = Math.min(this.maxZoom, Math.max(1, this.zoom * factor));
+        this.x = anchor.x - u / this.zoom;
+        this.y = anchor.y - v / this.zoom;
+        this.clamp();
+    }
+
+    // Drag the world by (du, dv) viewport widths and heights
+    pan(du, dv) {
+        this.x -= du / this.zoom;
+        this.y -= dv / this.zoom;
+        this.clamp();
+    }
+
+    clamp() {
+        const max = 1 - 1 / this.zoom;
+        this.x = Math.min(max, Math.max(0, this.x));
+        this.y = Math.min(max, Math.max(0, this.y));
+    }
+
+    // The visible part of a width x height grid, in (fractional) cells
+    view(width, height) {
+        return {
+            x: this.x * width,
+            y: this.y * height,
+            width: width / this.zoom,
+            height: height / this.zoom
+        };
+    }
+}
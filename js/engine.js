@@ -0,0 +1,14 @@
+/**
+ * Simulation engine
+ * Everything needed to run the simulation without a browser: the grid, the material and
+ * reaction registries, presets, scene files and edit history. Import this from a page, a
+ * worker or a Node script.
+ */
+
+export { Grid, EDGE_MODES, POWERED, SWITCHED_ON, emitterLife } from './grid.js';
+export { Random } from './random.js';
+export { BEHAVIORS, CIRCUIT_PARTS, MATERIALS, MATERIAL_IDS, registerMaterial, getMaterial } from './materials.js';
+export { REACTIONS, registerReaction } from './reactions.js';
+export { PRESETS, createPreset } from './presets.js';
+export { SAVE_VERSION, serializeScene, deserializeScene } from './save-format.js';
+export { EditHistory } from './history.js';
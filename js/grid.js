@@ -0,0 +1,1780 @@
+/**
+ * Simulation grid
+ * The cell storage and per-material update rules. It has no DOM dependencies, so it runs the
+ * same in the browser, in a worker or under Node.
+ */
+
+import { Random } from './random.js';
+import { BEHAVIORS, CIRCUIT_PARTS, MATERIALS, MATERIAL_IDS, getRegistryVersion } from './materials.js';
+import { REACTIONS, REACTIONS_BY_MATERIAL } from './reactions.js';
+
+// Temperature differences (in degrees) small enough to let a chunk fall asleep
+const SETTLED_TEMPERATURE = 0.5;
+
+// Share of its gap to the ambient temperature that air closes each tick
+const AIR_MIXING = 0.05;
+
+// Speed a falling particle gains each tick, in cells per tick for each unit of gravity
+const FALL_ACCELERATION = 0.25;
+
+// Fastest a flying particle moves, in cells per tick
+const MAX_SPEED = 10;
+
+// A flying particle on the ground and slower than this (in cells per tick) on both axes lands
+// and goes back to the cellular rules
+const LANDING_SPEED = 1;
+
+// Share of its sideways speed a flying particle loses each tick it slides along the ground
+const SLIDING_FRICTION = 0.3;
+
+// Degrees a blast adds to the cells it reaches at full strength
+const BLAST_HEAT = 400;
+
+// Density of air: gases lighter than this rise through it and heavier ones sink
+const AIR_DENSITY = 1;
+
+// Cells of packed gas a gas particle can push through to reach free space
+export const GAS_PRESSURE_REACH = 8;
+
+// Chance per tick that the bare end of a live conductor throws a spark
+const SPARK_CHANCE = 0.05;
+
+// Freezing and condensing wait until a particle is this many degrees below the melting or
+// boiling point, so particles sitting right at the point do not flicker between phases
+const PHASE_HYSTERESIS = 10;
+
+// What happens at each side of the grid: 'solid' edges stop particles, particles leaving
+// through a 'void' edge are deleted, and ones leaving through a 'wrap' edge come back in on
+// the opposite side
+export const EDGE_MODES = ['solid', 'void', 'wrap'];
+const DEFAULT_EDGES = { top: 'solid', bottom: 'solid', left: 'solid', right: 'solid' };
+
+// offset() result for a neighbor past a void edge. Movement code treats it as empty space
+// the particle disappears into; everything else skips it like any other off-grid index.
+export const VOID_CELL = -2;
+
+// Bits of the life of a particle in a circuit: power reaches it this tick, and (for switches)
+// it is switched on
+export const POWERED = 1;
+export const SWITCHED_ON = 2;
+
+// Circuit part of a material in Grid.circuitParts: 0 for none, else its place in CIRCUIT_PARTS
+// plus one
+const SOURCE = 1 + CIRCUIT_PARTS.indexOf('source');
+const CONDUCTOR = 1 + CIRCUIT_PARTS.indexOf('conductor');
+const SWITCH = 1 + CIRCUIT_PARTS.indexOf('switch');
+const LOAD = 1 + CIRCUIT_PARTS.indexOf('load');
+
+// Life of a source particle (a faucet) that emits material, with the given chance in percent
+// each tick: the material id goes in the low byte and the chance in the high byte
+export function emitterLife(material, rate) {
+    return (Math.min(100, Math.max(0, Math.round(rate))) << 8) | material;
+}
+
+// Insert a cell into list, kept sorted by score from highest down, if it is among the limit
+// best seen so far
+function keepBest(list, limit, index, score) {
+    if (list.length === limit && score <= list[limit - 1].score) return;
+    
+    let at = list.length;
+    while (at > 0 && score > list[at - 1].score) at--;
+    list.splice(at, 0, { index, score });
+    if (list.length > limit) list.pop();
+}
+
+export class Grid {
+    constructor(width, height, { gravity = 1, seed, chunkSize = 16, edges, ambientTemp = 20 } = {}) {
+        this.width = width;
+        this.height = height;
+        
+        // Strength of gravity: the speed (in cells per tick) a particle starts falling at, and
+        // the steps one may slide or flow per tick. Falling particles speed up by
+        // gravity * FALL_ACCELERATION each tick.
+        this.gravity = gravity;
+        
+        // Temperature the air (empty cells) drifts toward, in celsius
+        this.ambientTemp = ambientTemp;
+        
+        // All simulation randomness comes from this generator, so a seed replays a scene exactly
+        this.random = new Random(seed);
+        
+        // Material ids and per-material properties come from the shared registry. The ids are a
+        // copy, kept by refreshMaterialTables(): the registry's own table is built up key by key
+        // and turns slow to read once many materials are registered.
+        this.materials = null;
+        this.properties = MATERIALS;
+        
+        // EditHistory capturing writes made through set(), while a user operation is recorded
+        this.recorder = null;
+        
+        // How many times each reaction rule has fired, keyed by rule name
+        this.reactionCounts = {};
+        
+        // Cell storage as parallel typed arrays, one entry per cell:
+        // grid holds the material id, temp the temperature in celsius and life the remaining lifespan
+        this.grid = new Uint8Array(width * height);
+        this.temp = new Float32Array(width * height).fill(ambientTemp);
+        this.life = new Int16Array(width * height);
+        this.shade = new Uint8Array(width * height); // color variation, picked when a particle spawns
+        
+        // Velocity in cells per tick of particles flying freely, falling or thrown (see
+        // updateFlight()). Zero for the rest, which move by the cellular rules, and for empty cells.
+        this.vx = new Float32Array(width * height);
+        this.vy = new Float32Array(width * height);
+        
+        // Tick in which each particle was last updated. It travels with the particle, so one that
+        // moves into a cell the scan has not reached yet is not updated a second time that tick.
+        this.tick = 0;
+        this.moved = new Uint32Array(width * height);
+        
+        // Scratch space for levelLiquids(): the tick in which each cell was last taken into a
+        // body of liquid, and a queue of the cells of the body being filled
+        this.levelled = new Uint32Array(width * height);
+        this.bodyQueue = new Int32Array(width * height);
+        
+        // Scratch space for explode(): the blast that last reached each cell, so overlapping
+        // rays of one blast hit a cell once
+        this.blastMarks = new Uint32Array(width * height);
+        this.blasts = 0;
+        
+        // Scratch space for updatePower(): the tick in which power last reached each cell
+        this.powerMarks = new Uint32Array(width * height);
+        
+        // The grid is split into square chunks and only awake chunks are simulated. A chunk falls
+        // asleep after a tick in which none of its cells changed, and is woken by writes to its
+        // cells or to the cells bordering it. Dirty chunks are the ones a renderer has to repaint.
+        // Code writing the cell arrays directly must call wake() for the cells it changed.
+        this.chunkSize = chunkSize;
+        this.chunksX = Math.ceil(width / chunkSize);
+        this.chunksY = Math.ceil(height / chunkSize);
+        this.awake = new Uint8Array(this.chunksX * this.chunksY);              // simulated this tick
+        this.awakeNext = new Uint8Array(this.chunksX * this.chunksY).fill(1);  // to simulate next tick
+        this.dirty = new Uint8Array(this.chunksX * this.chunksY).fill(1);      // changed since the last paint
+        
+        // Chunk of each cell, and whether the cell lies on a chunk border (grid edges included,
+        // as a wrapping edge borders the chunk on the far side)
+        this.cellChunks = new Uint32Array(width * height);
+        this.chunkBorders = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                this.cellChunks[i] = ((y / chunkSize) | 0) * this.chunksX + ((x / chunkSize) | 0);
+                this.chunkBorders[i] = x % chunkSize === 0 || x % chunkSize === chunkSize - 1 ||
+                    y % chunkSize === 0 || y % chunkSize === chunkSize - 1 ||
+                    x === width - 1 || y === height - 1 ? 1 : 0;
+            }
+        }
+        
+        // Edge mode of each side, see EDGE_MODES
+        this.edges = { ...DEFAULT_EDGES };
+        if (edges) this.setEdges(edges);
+        
+        // Per-material lookup tables, filled by refreshMaterialTables() from the registry version
+        // in tablesVersion
+        this.densities = new Float32Array(256);
+        this.fliers = new Uint8Array(256);
+        this.splashes = new Float32Array(256);
+        this.dispersions = new Uint8Array(256); // 0 for materials that do not flow
+        this.gases = new Uint8Array(256);
+        this.buoyancies = new Float32Array(256);
+        this.diffusions = new Float32Array(256);
+        this.circuitParts = new Uint8Array(256);
+        this.heatShares = new Float32Array(256 * 256);
+        this.phaseChanges = new Array(256).fill(null);
+        this.fallUpdates = new Array(256).fill(null);
+        this.riseUpdates = new Array(256).fill(null);
+        this.tablesVersion = -1;
+        this.refreshMaterialTables();
+    }
+
+    clear() {
+        this.grid.fill(this.materials.EMPTY);
+        this.temp.fill(this.ambientTemp);
+        this.life.fill(0);
+        this.shade.fill(0);
+        this.vx.fill(0);
+        this.vy.fill(0);
+        this.moved.fill(0);
+        this.reactionCounts = {};
+        this.wakeAll();
+    }
+
+    // A cell changed: simulate its chunk next tick, along with any chunk it borders, since the
+    // particles next to it may now be able to move
+    wake(index) {
+        const chunk = this.cellChunks[index];
+        this.awakeNext[chunk] = 1;
+        this.dirty[chunk] = 1;
+        if (this.chunkBorders[index] === 0) return;
+        
+        const size = this.chunkSize;
+        const x = index % this.width;
+        const y = (index - x) / this.width;
+        const chunkX = (x / size) | 0;
+        const chunkY = (y / size) | 0;
+        
+        const startX = x % size === 0 && chunkX > 0 ? chunkX - 1 : chunkX;
+        const endX = x % size === size - 1 && chunkX < this.chunksX - 1 ? chunkX + 1 : chunkX;
+        const startY = y % size === 0 && chunkY > 0 ? chunkY - 1 : chunkY;
+        const endY = y % size === size - 1 && chunkY < this.chunksY - 1 ? chunkY + 1 : chunkY;
+        this.wakeChunks(startX, endX, startY, endY);
+        
+        // Across a wrapping edge, the neighboring chunks are on the far side of the grid
+        let wrapX = -1;
+        let wrapY = -1;
+        if (x === 0 && this.edges.left === 'wrap') wrapX = this.chunksX - 1;
+        else if (x === this.width - 1 && this.edges.right === 'wrap') wrapX = 0;
+        if (y === 0 && this.edges.top === 'wrap') wrapY = this.chunksY - 1;
+        else if (y === this.height - 1 && this.edges.bottom === 'wrap') wrapY = 0;
+        
+        if (wrapX !== -1) this.wakeChunks(wrapX, wrapX, startY, endY);
+        if (wrapY !== -1) this.wakeChunks(startX, endX, wrapY, wrapY);
+        if (wrapX !== -1 && wrapY !== -1) this.wakeChunks(wrapX, wrapX, wrapY, wrapY);
+    }
+
+    // Simulate the chunks in columns startX..endX and rows startY..endY next tick
+    wakeChunks(startX, endX, startY, endY) {
+        for (let cy = startY; cy <= endY; cy++) {
+            for (let cx = startX; cx <= endX; cx++) {
+                this.awakeNext[cy * this.chunksX + cx] = 1;
+            }
+        }
+    }
+
+    // Simulate the chunk holding a cell next tick, for a particle that may still change by chance
+    keepAwake(index) {
+        this.awakeNext[this.cellChunks[index]] = 1;
+    }
+
+    wakeAll() {
+        this.awakeNext.fill(1);
+        this.dirty.fill(1);
+    }
+
+    // Change the mode of some sides, e.g. setEdges({ bottom: 'void' }). Everything is woken, as
+    // particles resting on an edge may now move.
+    setEdges(edges) {
+        for (const [side, mode] of Object.entries(edges)) {
+            if (!(side in DEFAULT_EDGES)) {
+                throw new Error(`setEdges: unknown side "${side}"`);
+            }
+            if (!EDGE_MODES.includes(mode)) {
+                throw new Error(`setEdges: unknown edge mode "${mode}"`);
+            }
+            this.edges[side] = mode;
+        }
+        this.wakeAll();
+    }
+
+    // Change the temperature the air drifts toward. The air takes it on at once; particles
+    // warm or cool through the air from there.
+    setAmbientTemp(temp) {
+        if (!Number.isFinite(temp)) {
+            throw new Error(`setAmbientTemp: invalid temperature ${temp}`);
+        }
+        this.ambientTemp = temp;
+        for (let i = 0; i < this.grid.length; i++) {
+            if (this.grid[i] === this.materials.EMPTY) this.temp[i] = temp;
+        }
+        this.wakeAll();
+    }
+
+    // A copy of the grid with its edges moved to a new size, the content staying put relative to
+    // the anchor: (0.5, 1) keeps it centered on the floor, (0, 0) pinned to the top left corner.
+    // Cells pushed outside are dropped and new space is empty.
+    resize(width, height, { anchorX = 0.5, anchorY = 1 } = {}) {
+        const resized = new Grid(width, height, {
+            gravity: this.gravity,
+            seed: this.random.seed,
+            chunkSize: this.chunkSize,
+            edges: this.edges,
+            ambientTemp: this.ambientTemp
+        });
+        resized.random.state = this.random.state;
+        
+        const offsetX = Math.round((width - this.width) * anchorX);
+        const offsetY = Math.round((height - this.height) * anchorY);
+        const startX = Math.max(0, -offsetX);
+        const endX = Math.min(this.width, width - offsetX);
+        
+        for (let y = Math.max(0, -offsetY); y < Math.min(this.height, height - offsetY); y++) {
+            const from = y * this.width;
+            const to = (y + offsetY) * width + offsetX;
+            resized.grid.set(this.grid.subarray(from + startX, from + endX), to + startX);
+            resized.temp.set(this.temp.subarray(from + startX, from + endX), to + startX);
+            resized.life.set(this.life.subarray(from + startX, from + endX), to + startX);
+            resized.shade.set(this.shade.subarray(from + startX, from + endX), to + startX);
+            resized.vx.set(this.vx.subarray(from + startX, from + endX), to + startX);
+            resized.vy.set(this.vy.subarray(from + startX, from + endX), to + startX);
+        }
+        
+        return resized;
+    }
+
+    // A copy of the grid scaled to a new size, each cell taking the particle (with its
+    // temperature, life and velocity) nearest to it. The random generator carries on where it was.
+    resample(width, height) {
+        const resized = new Grid(width, height, {
+            gravity: this.gravity,
+            seed: this.random.seed,
+            chunkSize: this.chunkSize,
+            edges: this.edges,
+            ambientTemp: this.ambientTemp
+        });
+        resized.random.state = this.random.state;
+        
+        // Velocities are in cells, so they scale with the grid
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        
+        const sourceColumns = new Int32Array(width);
+        for (let x = 0; x < width; x++) {
+            sourceColumns[x] = Math.min(this.width - 1, Math.floor((x + 0.5) * this.width / width));
+        }
+        
+        for (let y = 0; y < height; y++) {
+            const sourceRow = Math.min(this.height - 1, Math.floor((y + 0.5) * this.height / height)) * this.width;
+            for (let x = 0; x < width; x++) {
+                const from = sourceRow + sourceColumns[x];
+                const to = y * width + x;
+                resized.grid[to] = this.grid[from];
+                resized.temp[to] = this.temp[from];
+                resized.life[to] = this.life[from];
+                resized.shade[to] = this.shade[from];
+                resized.vx[to] = this.vx[from] * scaleX;
+                resized.vy[to] = this.vy[from] * scaleY;
+            }
+        }
+        
+        return resized;
+    }
+
+    // life, if given, replaces the particle's starting life, e.g. with a faucet's emitterLife()
+    set(x, y, value, life) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            const index = y * this.width + x;
+            if (this.recorder !== null) {
+                this.recorder.captureBefore(this, index);
+            }
+            this.transform(index, value);
+            if (life !== undefined) {
+                this.life[index] = life;
+            }
+        }
+    }
+
+    // Turn the particle at an index into another material, initializing its temperature and life.
+    // The new particle starts at rest.
+    transform(index, value) {
+        this.grid[index] = value;
+        this.wake(index);
+        this.shade[index] = this.random.int(256);
+        this.vx[index] = 0;
+        this.vy[index] = 0;
+        
+        const material = this.properties[value];
+        if (material.spawnTemp !== null) {
+            this.temp[index] = material.spawnTemp;
+        }
+        this.life[index] = material.lifespan;
+    }
+
+    get(x, y) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            return this.grid[y * this.width + x];
+        }
+        return -1; // Out of bounds
+    }
+
+    // Get a snapshot of the temperature and life at a specific position
+    getMeta(x, y) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            const index = y * this.width + x;
+            return { life: this.life[index], temp: this.temp[index] };
+        }
+        return null; // Out of bounds
+    }
+
+    swap(i1, i2) {
+        if (i1 >= 0 && i1 < this.grid.length && i2 >= 0 && i2 < this.grid.length) {
+            // Swap grid values
+            const temp = this.grid[i1];
+            this.grid[i1] = this.grid[i2];
+            this.grid[i2] = temp;
+            
+            // Temperature, life, shade and velocity travel with the particle
+            const tempValue = this.temp[i1];
+            this.temp[i1] = this.temp[i2];
+            this.temp[i2] = tempValue;
+            
+            const lifeValue = this.life[i1];
+            this.life[i1] = this.life[i2];
+            this.life[i2] = lifeValue;
+            
+            const shadeValue = this.shade[i1];
+            this.shade[i1] = this.shade[i2];
+            this.shade[i2] = shadeValue;
+            
+            const vxValue = this.vx[i1];
+            this.vx[i1] = this.vx[i2];
+            this.vx[i2] = vxValue;
+            
+            const vyValue = this.vy[i1];
+            this.vy[i1] = this.vy[i2];
+            this.vy[i2] = vyValue;
+            
+            const movedValue = this.moved[i1];
+            this.moved[i1] = this.moved[i2];
+            this.moved[i2] = movedValue;
+            
+            this.wake(i1);
+            this.wake(i2);
+        }
+    }
+
+    isEmpty(index) {
+        if (index < 0 || index >= this.grid.length) return false;
+        return this.grid[index] === this.materials.EMPTY;
+    }
+
+    isType(index, type) {
+        if (index < 0 || index >= this.grid.length) return false;
+        return this.grid[index] === type;
+    }
+
+    inBounds(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    // Index of the cell dx, dy (each -1, 0 or 1) away from (x, y), going by the edge modes past
+    // the edges: -1 past a solid edge, VOID_CELL past a void one and the cell on the opposite
+    // side past a wrapping one
+    offset(x, y, dx, dy) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+            return ny * this.width + nx;
+        }
+        return this.offsetPastEdge(nx, ny);
+    }
+
+    // offset() for a position just outside the grid, kept apart so offset() stays small
+    offsetPastEdge(nx, ny) {
+        if (nx < 0 || nx >= this.width) {
+            const mode = nx < 0 ? this.edges.left : this.edges.right;
+            if (mode === 'solid') return -1;
+            if (mode === 'void') return VOID_CELL;
+            nx = nx < 0 ? this.width - 1 : 0;
+        }
+        if (ny < 0 || ny >= this.height) {
+            const mode = ny < 0 ? this.edges.top : this.edges.bottom;
+            if (mode === 'solid') return -1;
+            if (mode === 'void') return VOID_CELL;
+            ny = ny < 0 ? this.height - 1 : 0;
+        }
+        return ny * this.width + nx;
+    }
+
+    // Move the particle at index to target, an index from offset(). Returns where the particle
+    // is now, or -1 if it went through a void edge and is gone.
+    moveParticle(index, target) {
+        if (target === VOID_CELL) {
+            this.removeParticle(index);
+            return -1;
+        }
+        this.swap(index, target);
+        return target;
+    }
+
+    // Empty a cell without leaving anything behind
+    removeParticle(index) {
+        this.grid[index] = this.materials.EMPTY;
+        this.temp[index] = this.ambientTemp;
+        this.life[index] = 0;
+        this.vx[index] = 0;
+        this.vy[index] = 0;
+        this.wake(index);
+    }
+    
+    // Send the particle at index flying at (vx, vy) cells per tick, e.g. thrown by a blast.
+    // Only loose particles (powders and liquids) fly; returns whether this one does.
+    launch(index, vx, vy) {
+        if (index < 0 || index >= this.grid.length || this.fliers[this.grid[index]] === 0) {
+            return false;
+        }
+        this.vx[index] = Math.min(MAX_SPEED, Math.max(-MAX_SPEED, vx));
+        this.vy[index] = Math.min(MAX_SPEED, Math.max(-MAX_SPEED, vy));
+        this.wake(index);
+        return true;
+    }
+    
+    isFlying(index) {
+        return this.vx[index] !== 0 || this.vy[index] !== 0;
+    }
+
+    // Whether a gas can rise or drift into an index from offset()
+    isOpen(index) {
+        return index === VOID_CELL || this.isEmpty(index);
+    }
+
+    canDisplace(i1, i2) {
+        // Anything can fall off the grid through a void edge
+        if (i2 === VOID_CELL) return i1 >= 0 && i1 < this.grid.length;
+        
+        if (i1 < 0 || i1 >= this.grid.length || i2 < 0 || i2 >= this.grid.length) {
+            return false;
+        }
+        
+        // Empty space can always be replaced
+        if (this.grid[i2] === this.materials.EMPTY) return true;
+        
+        // Wall can't be displaced
+        if (this.grid[i2] === this.materials.WALL) return false;
+        
+        // Higher density materials sink in lower density ones
+        return this.densities[this.grid[i1]] > this.densities[this.grid[i2]];
+    }
+
+    // Advanced method to set shapes. The shapes pass life on to set().
+    setCircle(x, y, material, radius, probability = 1, life) {
+        for (let j = -radius; j <= radius; j++) {
+            for (let i = -radius; i <= radius; i++) {
+                if (i * i + j * j <= radius * radius && this.random.next() < probability) {
+                    const newX = x + i;
+                    const newY = y + j;
+                    if (this.inBounds(newX, newY) && this.get(newX, newY) === this.materials.EMPTY) {
+                        this.set(newX, newY, material, life);
+                    }
+                }
+            }
+        }
+    }
+
+    drawLine(x1, y1, x2, y2, material, thickness = 1, life) {
+        // Bresenham's line algorithm
+        const dx = Math.abs(x2 - x1);
+        const dy = Math.abs(y2 - y1);
+        const sx = x1 < x2 ? 1 : -1;
+        const sy = y1 < y2 ? 1 : -1;
+        let err = dx - dy;
+        
+        while (true) {
+            // Draw a circle at each point for thickness
+            this.setCircle(x1, y1, material, thickness, 1, life);
+            
+            if (x1 === x2 && y1 === y2) break;
+            const e2 = 2 * err;
+            if (e2 > -dy) {
+                err -= dy;
+                x1 += sx;
+            }
+            if (e2 < dx) {
+                err += dx;
+                y1 += sy;
+            }
+        }
+    }
+
+    drawRect(x1, y1, x2, y2, material, filled = false, life) {
+        // Sort coordinates
+        const startX = Math.min(x1, x2);
+        const endX = Math.max(x1, x2);
+        const startY = Math.min(y1, y2);
+        const endY = Math.max(y1, y2);
+        
+        if (filled) {
+            // Fill the rectangle
+            for (let y = startY; y <= endY; y++) {
+                for (let x = startX; x <= endX; x++) {
+                    if (this.inBounds(x, y) && this.get(x, y) === this.materials.EMPTY) {
+                        this.set(x, y, material, life);
+                    }
+                }
+            }
+        } else {
+            // Draw only the border
+            for (let x = startX; x <= endX; x++) {
+                if (this.inBounds(x, startY)) this.set(x, startY, material, life);
+                if (this.inBounds(x, endY)) this.set(x, endY, material, life);
+            }
+            for (let y = startY + 1; y < endY; y++) {
+                if (this.inBounds(startX, y)) this.set(startX, y, material, life);
+                if (this.inBounds(endX, y)) this.set(endX, y, material, life);
+            }
+        }
+    }
+
+    // Flip the switches within radius of (x, y) on or off
+    toggleSwitches(x, y, radius = 0) {
+        for (let j = -radius; j <= radius; j++) {
+            for (let i = -radius; i <= radius; i++) {
+                if (i * i + j * j > radius * radius || !this.inBounds(x + i, y + j)) continue;
+                
+                const index = (y + j) * this.width + x + i;
+                if (this.circuitParts[this.grid[index]] !== SWITCH) continue;
+                if (this.recorder !== null) {
+                    this.recorder.captureBefore(this, index);
+                }
+                this.life[index] ^= SWITCHED_ON;
+                this.wake(index);
+            }
+        }
+    }
+
+    // Lookup tables indexed by material id, so the hot loops avoid property lookups on the
+    // material definitions. They are rebuilt when materials or reactions are registered, which
+    // update() checks for at the start of each tick.
+    refreshMaterialTables() {
+        const version = getRegistryVersion();
+        if (this.tablesVersion === version) return;
+        
+        this.materials = { ...MATERIAL_IDS };
+        this.fallUpdates.fill(null);
+        this.riseUpdates.fill(null);
+        for (const material of this.properties) {
+            if (!material) continue;
+            
+            this.densities[material.id] = material.density;
+            this.splashes[material.id] = material.splash;
+            this.phaseChanges[material.id] = this.compilePhaseChanges(material);
+            const behavior = BEHAVIORS[material.behavior];
+            this.fliers[material.id] = behavior && behavior.flies ? 1 : 0;
+            this.dispersions[material.id] = behavior && behavior.flows ? Math.max(1, Math.min(255, material.dispersion)) : 0;
+            this.gases[material.id] = behavior && behavior.diffuses ? 1 : 0;
+            // Chance per tick of a step up (down if negative) from the density difference to air
+            this.buoyancies[material.id] = Math.max(-1, Math.min(1, (AIR_DENSITY - material.density) / AIR_DENSITY));
+            this.diffusions[material.id] = material.diffusion;
+            this.circuitParts[material.id] = 1 + CIRCUIT_PARTS.indexOf(material.circuit);
+            if (behavior) {
+                const updates = behavior.pass === 'fall' ? this.fallUpdates : this.riseUpdates;
+                updates[material.id] = this[behavior.update];
+            }
+        }
+        
+        // Share of the temperature gap to a neighbor a cell closes on one visit, by the pair of
+        // materials (see updateTemperature())
+        for (const material of this.properties) {
+            if (!material) continue;
+            
+            for (const neighbor of this.properties) {
+                if (!neighbor) continue;
+                
+                const sum = material.conductivity + neighbor.conductivity;
+                const conductance = sum > 0 ? 2 * material.conductivity * neighbor.conductivity / sum : 0;
+                this.heatShares[material.id * 256 + neighbor.id] =
+                    0.5 * conductance * neighbor.heatCapacity / (material.heatCapacity + neighbor.heatCapacity);
+            }
+        }
+        
+        for (const rule of REACTIONS) {
+            rule.matchTable = rule.matchTable || new Uint8Array(256);
+            for (const material of this.properties) {
+                if (material) {
+                    rule.matchTable[material.id] = rule.matches(material) ? 1 : 0;
+                }
+            }
+        }
+        this.tablesVersion = version;
+    }
+
+    // The changes a material goes through with temperature, as { above, point, into, rate }
+    // where above tells whether it changes above the point or below it. null for none.
+    compilePhaseChanges(material) {
+        const changes = [];
+        const add = (above, point, into) => {
+            if (point === null || into === null) return;
+            const id = this.materials[into.toUpperCase()];
+            if (id === undefined) {
+                throw new Error(`compilePhaseChanges: unknown material "${into}" for "${material.name}"`);
+            }
+            changes.push({
+                above,
+                point: above ? point : point - PHASE_HYSTERESIS,
+                into: id,
+                rate: material.phaseChangeRate
+            });
+        };
+        add(true, material.meltingPoint, material.meltsInto);
+        add(false, material.meltingPoint, material.freezesInto);
+        add(true, material.boilingPoint, material.boilsInto);
+        add(false, material.boilingPoint, material.condensesInto);
+        add(true, material.ignitionPoint, 'FIRE');
+        return changes.length > 0 ? changes : null;
+    }
+    
+    update() {
+        // Pick up materials and reactions registered since the last tick
+        this.refreshMaterialTables();
+        
+        // Each particle is updated at most once per tick, whichever way the scans run
+        const tick = this.tick = (this.tick + 1) >>> 0;
+        
+        // Simulate the chunks woken during the last tick or by edits since
+        const awake = this.awakeNext;
+        this.awakeNext = this.awake;
+        this.awakeNext.fill(0);
+        this.awake = awake;
+        for (let c = 0; c < awake.length; c++) {
+            if (awake[c] === 1) this.dirty[c] = 1;
+        }
+        
+        // Liquids under pressure even out their levels. This goes first, so the particles it moves
+        // are already updated for the tick and sit out the passes below.
+        this.levelLiquids(tick);
+        
+        // Process different materials with different passes
+        
+        // First pass: Bottom to top for falling materials (sand, water, etc)
+        for (let y = this.height - 1; y >= 0; y--) {
+            this.updateRow(y, this.fallUpdates, tick);
+        }
+        
+        // Second pass: Top to bottom for rising materials (fire, steam, etc)
+        for (let y = 0; y < this.height; y++) {
+            this.updateRow(y, this.riseUpdates, tick);
+        }
+        
+        // Batteries power the circuits they touch
+        this.updatePower(tick);
+        
+        // Third pass: Reactions, temperature transfer, phase changes and other effects
+        const size = this.chunkSize;
+        for (let y = 0; y < this.height; y++) {
+            const chunkRow = ((y / size) | 0) * this.chunksX;
+            
+            for (let chunkX = 0; chunkX < this.chunksX; chunkX++) {
+                if (awake[chunkRow + chunkX] === 0) continue;
+                
+                const endX = Math.min(this.width, (chunkX + 1) * size);
+                for (let x = chunkX * size; x < endX; x++) {
+                    const i = y * this.width + x;
+                    if (this.grid[i] === this.materials.EMPTY) {
+                        // Air at the ambient temperature is left alone; the particles next to
+                        // it still exchange heat with it
+                        const offAmbient = this.temp[i] - this.ambientTemp;
+                        if (offAmbient > SETTLED_TEMPERATURE || offAmbient < -SETTLED_TEMPERATURE) {
+                            this.updateTemperature(i);
+                        }
+                        continue;
+                    }
+                    
+                    // Particles in a circuit have work to do while power reaches them, and once
+                    // when it stops
+                    if (this.powerMarks[i] === tick || ((this.life[i] & POWERED) !== 0 &&
+                            this.circuitParts[this.grid[i]] !== 0)) {
+                        this.updateCircuit(i, x, y, tick);
+                    }
+                    this.react(i, x, y);
+                    this.updateTemperature(i);
+                    this.changePhase(i);
+                }
+            }
+        }
+    }
+
+    // Even out the levels of connected liquid, as pressure does in communicating vessels: each
+    // body of one liquid at rest moves particles from its highest surface to the lowest open
+    // cell beside or above it, up to the liquid's dispersion per tick. Bodies are found from
+    // the awake chunks, and each is levelled once per tick.
+    levelLiquids(tick) {
+        const size = this.chunkSize;
+        for (let chunk = 0; chunk < this.awake.length; chunk++) {
+            if (this.awake[chunk] === 0) continue;
+            
+            const chunkX = chunk % this.chunksX;
+            const chunkY = (chunk - chunkX) / this.chunksX;
+            const endX = Math.min(this.width, (chunkX + 1) * size);
+            const endY = Math.min(this.height, (chunkY + 1) * size);
+            for (let y = chunkY * size; y < endY; y++) {
+                for (let x = chunkX * size; x < endX; x++) {
+                    const i = y * this.width + x;
+                    if (this.dispersions[this.grid[i]] !== 0 && this.levelled[i] !== tick && !this.isFlying(i)) {
+                        this.levelBody(i, tick);
+                    }
+                }
+            }
+        }
+    }
+    
+    // Fill the body of liquid holding cell start (side by side and above and below, not
+    // diagonally), then pair its highest surface particles with its lowest openings
+    levelBody(start, tick) {
+        const material = this.grid[start];
+        const rate = this.dispersions[material];
+        const queue = this.bodyQueue;
+        const levelled = this.levelled;
+        
+        // The rate highest surface cells (scored by minus their row) and the rate lowest openings
+        // (scored by their row) seen so far
+        const surfaces = [];
+        const openings = [];
+        
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = start;
+        levelled[start] = tick;
+        while (head < tail) {
+            const i = queue[head++];
+            const x = i % this.width;
+            const y = (i - x) / this.width;
+            
+            for (let side = 0; side < 4; side++) {
+                const dx = side === 0 ? -1 : side === 1 ? 1 : 0;
+                const dy = side === 2 ? -1 : side === 3 ? 1 : 0;
+                const neighborIdx = this.offset(x, y, dx, dy);
+                if (neighborIdx < 0) continue;
+                
+                const neighbor = this.grid[neighborIdx];
+                if (neighbor === material) {
+                    if (levelled[neighborIdx] !== tick && !this.isFlying(neighborIdx)) {
+                        levelled[neighborIdx] = tick;
+                        queue[tail++] = neighborIdx;
+                    }
+                } else if (neighbor === this.materials.EMPTY && dy <= 0) {
+                    // A particle already updated this tick stays where it is
+                    if (dy === -1 && this.moved[i] !== tick) keepBest(surfaces, rate, i, -y);
+                    if (levelled[neighborIdx] !== tick) {
+                        levelled[neighborIdx] = tick;
+                        keepBest(openings, rate, neighborIdx, (neighborIdx - neighborIdx % this.width) / this.width);
+                    }
+                }
+            }
+        }
+        
+        // Only an opening lower than the surface particle draws it; at the same height the body
+        // is as level as it gets
+        for (let k = 0; k < surfaces.length && k < openings.length; k++) {
+            if (openings[k].score <= -surfaces[k].score) break;
+            this.swap(surfaces[k].index, openings[k].index);
+            this.moved[openings[k].index] = tick;
+        }
+    }
+    
+    // Carry power from every source in an awake chunk through the conductors it touches (side by
+    // side and above and below, not diagonally) and the switches that are on, to the loads on
+    // them. What power reaches gets POWERED in its life; updateCircuit() takes it away again
+    // once power stops reaching it.
+    updatePower(tick) {
+        const size = this.chunkSize;
+        const grid = this.grid;
+        const parts = this.circuitParts;
+        for (let chunk = 0; chunk < this.awake.length; chunk++) {
+            if (this.awake[chunk] === 0) continue;
+            
+            const chunkX = chunk % this.chunksX;
+            const chunkY = (chunk - chunkX) / this.chunksX;
+            const endX = Math.min(this.width, (chunkX + 1) * size);
+            const endY = Math.min(this.height, (chunkY + 1) * size);
+            for (let y = chunkY * size; y < endY; y++) {
+                for (let i = y * this.width + chunkX * size, end = y * this.width + endX; i < end; i++) {
+                    if (parts[grid[i]] === SOURCE && this.powerMarks[i] !== tick) {
+                        this.powerCircuit(i, tick);
+                    }
+                }
+            }
+        }
+    }
+    
+    // Fill the circuit holding the source at start with power. It may reach into sleeping
+    // chunks, which are woken where a particle newly gets power.
+    powerCircuit(start, tick) {
+        const queue = this.bodyQueue;
+        const marks = this.powerMarks;
+        
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = start;
+        marks[start] = tick;
+        while (head < tail) {
+            const i = queue[head++];
+            if ((this.life[i] & POWERED) === 0) {
+                this.life[i] |= POWERED;
+                this.wake(i);
+            }
+            // Loads use power without passing it on
+            if (this.circuitParts[this.grid[i]] === LOAD) continue;
+            
+            const x = i % this.width;
+            const y = (i - x) / this.width;
+            for (let side = 0; side < 4; side++) {
+                const dx = side === 0 ? -1 : side === 1 ? 1 : 0;
+                const dy = side === 2 ? -1 : side === 3 ? 1 : 0;
+                const neighborIdx = this.offset(x, y, dx, dy);
+                if (neighborIdx < 0 || marks[neighborIdx] === tick) continue;
+                
+                const part = this.circuitParts[this.grid[neighborIdx]];
+                if (part === 0 || (part === SWITCH && (this.life[neighborIdx] & SWITCHED_ON) === 0)) continue;
+                marks[neighborIdx] = tick;
+                queue[tail++] = neighborIdx;
+            }
+        }
+    }
+    
+    // Per-tick work of a particle in a circuit. While powered it keeps its chunk awake, so that
+    // it notices when power stops reaching it; a powered load is held at its temperature, and
+    // the bare end of a live conductor throws sparks into the air.
+    updateCircuit(i, x, y, tick) {
+        if (this.powerMarks[i] !== tick) {
+            if ((this.life[i] & POWERED) !== 0) {
+                this.life[i] &= ~POWERED;
+                this.wake(i);
+            }
+            return;
+        }
+        this.keepAwake(i);
+        
+        const material = this.properties[this.grid[i]];
+        const part = this.circuitParts[material.id];
+        if (part === LOAD && material.poweredTemp !== null) {
+            this.temp[i] = material.poweredTemp;
+        } else if (part === CONDUCTOR && this.random.next() < SPARK_CHANCE) {
+            // An end has at most one neighbor carrying power
+            let connections = 0;
+            let open = -1;
+            for (let side = 0; side < 4; side++) {
+                const dx = side === 0 ? -1 : side === 1 ? 1 : 0;
+                const dy = side === 2 ? -1 : side === 3 ? 1 : 0;
+                const neighborIdx = this.offset(x, y, dx, dy);
+                if (neighborIdx >= 0 && this.powerMarks[neighborIdx] === tick) {
+                    connections++;
+                } else if (this.isEmpty(neighborIdx)) {
+                    open = neighborIdx;
+                }
+            }
+            if (connections <= 1 && open !== -1) {
+                this.transform(open, this.materials.SPARK);
+            }
+        }
+    }
+    
+    // Run the movement update of every particle in a row that is in an awake chunk and has not
+    // been updated yet this tick
+    updateRow(y, updates, tick) {
+        const size = this.chunkSize;
+        const chunkRow = ((y / size) | 0) * this.chunksX;
+        const moved = this.moved;
+        
+        // Alternate direction each row for more natural movement
+        const rowDirection = y % 2 === 0 ? 1 : -1;
+        
+        for (let c0 = 0; c0 < this.chunksX; c0++) {
+            const chunkX = rowDirection === 1 ? c0 : this.chunksX - 1 - c0;
+            if (this.awake[chunkRow + chunkX] === 0) continue;
+            
+            const startX = chunkX * size;
+            const endX = Math.min(this.width, startX + size);
+            for (let x0 = startX; x0 < endX; x0++) {
+                const x = rowDirection === 1 ? x0 : startX + endX - 1 - x0;
+                const i = y * this.width + x;
+                
+                const updateMaterial = updates[this.grid[i]];
+                if (updateMaterial !== null && moved[i] !== tick) {
+                    moved[i] = tick;
+                    updateMaterial.call(this, i, x, y);
+                }
+            }
+        }
+    }
+
+    updateSand(i, x, y) {
+        if (this.isFlying(i)) {
+            this.updateFlight(i, x, y);
+            return;
+        }
+        
+        // Follow the grain as it slides up to `gravity` cells this tick
+        let current = i;
+        
+        for (let g = 0; g < this.gravity; g++) {
+            const currentX = current % this.width;
+            const currentY = (current - currentX) / this.width;
+            const below = this.offset(currentX, currentY, 0, 1);
+            const belowLeft = this.offset(currentX, currentY, -1, 1);
+            const belowRight = this.offset(currentX, currentY, 1, 1);
+            
+            // With nothing underneath, the grain drops into free fall
+            if (this.isOpen(below)) {
+                this.startFalling(current, currentX, currentY);
+                return;
+            }
+            
+            let target = -1;
+            if (this.canDisplace(current, below)) {
+                target = below;
+            }
+            else if (this.canDisplace(current, belowLeft)) {
+                target = belowLeft;
+            }
+            else if (this.canDisplace(current, belowRight)) {
+                target = belowRight;
+            }
+            
+            // If particle couldn't move, stop applying gravity
+            if (target === -1) break;
+            current = this.moveParticle(current, target);
+            if (current === -1) return; // fell off the grid
+        }
+    }
+
+    updateWater(i, x, y) {
+        if (this.isFlying(i)) {
+            this.updateFlight(i, x, y);
+            return;
+        }
+        
+        // Follow the particle as it moves up to `gravity` steps this tick
+        let current = i;
+        
+        for (let g = 0; g < this.gravity; g++) {
+            const currentX = current % this.width;
+            const currentY = (current - currentX) / this.width;
+            const below = this.offset(currentX, currentY, 0, 1);
+            const belowLeft = this.offset(currentX, currentY, -1, 1);
+            const belowRight = this.offset(currentX, currentY, 1, 1);
+            const left = this.offset(currentX, currentY, -1, 0);
+            const right = this.offset(currentX, currentY, 1, 0);
+
+            if (this.isOpen(below)) {
+                this.startFalling(current, currentX, currentY);
+                return;
+            }
+            
+            let target = -1;
+            
+            // Try to move directly below, then diagonally
+            if (this.canDisplace(current, below)) {
+                target = below;
+            }
+            else if (this.canDisplace(current, belowLeft)) {
+                target = belowLeft;
+            }
+            else if (this.canDisplace(current, belowRight)) {
+                target = belowRight;
+            }
+
+            // Try to flow sideways (if not moved vertically)
+            if (target === -1) {
+                const next = this.flowSideways(current, currentX, currentY, left, right);
+                if (next === current) break;
+                current = next;
+                if (current === -1) return;
+                continue;
+            }
+            
+            current = this.moveParticle(current, target);
+            if (current === -1) return;
+        }
+    }
+    
+    updateOil(i, x, y) {
+        // Oil behaves like water but with different density
+        // Similar to water but slower and more viscous
+        if (this.isFlying(i)) {
+            this.updateFlight(i, x, y);
+            return;
+        }
+        
+        const gravity = Math.max(1, this.gravity - 1);
+        let current = i;
+        
+        for (let g = 0; g < gravity; g++) {
+            const currentX = current % this.width;
+            const currentY = (current - currentX) / this.width;
+            const below = this.offset(currentX, currentY, 0, 1);
+            const belowLeft = this.offset(currentX, currentY, -1, 1);
+            const belowRight = this.offset(currentX, currentY, 1, 1);
+            const left = this.offset(currentX, currentY, -1, 0);
+            const right = this.offset(currentX, currentY, 1, 0);
+
+            if (this.isOpen(below)) {
+                this.startFalling(current, currentX, currentY);
+                return;
+            }
+            
+            let target = -1;
+            
+            // Movement logic similar to water
+            if (this.canDisplace(current, below)) {
+                target = below;
+            }
+            else if (this.random.next() < 0.3 && this.canDisplace(current, belowLeft)) {
+                target = belowLeft;
+            }
+            else if (this.random.next() < 0.3 && this.canDisplace(current, belowRight)) {
+                target = belowRight;
+            }
+            if (target === -1) {
+                if (this.random.next() >= 0.3) break;
+                const next = this.flowSideways(current, currentX, currentY, left, right);
+                if (next === current) break;
+                current = next;
+                if (current === -1) return;
+                continue;
+            }
+            
+            current = this.moveParticle(current, target);
+            if (current === -1) return;
+        }
+    }
+    
+    // Let a liquid particle at (x, y) that cannot move down flow along its row, up to its
+    // material's dispersion in cells, toward a random side (the other if that one is blocked).
+    // It stops early over a gap to fall into. left and right are its neighbors from offset().
+    // Returns where the particle ends up, or -1 if it flowed through a void edge.
+    flowSideways(i, x, y, left, right) {
+        let direction = this.random.next() < 0.5 ? -1 : 1;
+        if (!this.canDisplace(i, direction === -1 ? left : right)) {
+            direction = -direction;
+        }
+        
+        let current = i;
+        let currentX = x;
+        let currentY = y;
+        for (let step = this.dispersions[this.grid[i]]; step > 0; step--) {
+            const target = this.offset(currentX, currentY, direction, 0);
+            if (!this.canDisplace(current, target)) break;
+            current = this.moveParticle(current, target);
+            if (current === -1) return -1;
+            
+            currentX = current % this.width;
+            currentY = (current - currentX) / this.width;
+            if (this.canDisplace(current, this.offset(currentX, currentY, 0, 1))) break;
+        }
+        return current;
+    }
+    
+    // A particle at rest at (x, y) with nothing underneath starts falling at `gravity` cells per tick
+    startFalling(i, x, y) {
+        this.vy[i] = this.gravity;
+        this.updateFlight(i, x, y);
+    }
+    
+    // Move a flying particle along its velocity one cell at a time, as far as it gets this tick,
+    // then let gravity and the ground act on the velocity for the next one
+    updateFlight(i, x, y) {
+        const vx = this.vx[i];
+        const vy = this.vy[i];
+        
+        // Fractions of a cell are made up by chance: at 1.25 cells per tick a particle moves two
+        // cells one tick in four
+        const distance = Math.max(Math.abs(vx), Math.abs(vy));
+        let steps = Math.floor(distance);
+        if (this.random.next() < distance - steps) steps++;
+        
+        // Walk the line toward the end point, one neighbor at a time so edges are handled
+        let current = i;
+        let currentX = x;
+        let currentY = y;
+        let lastX = 0;
+        let lastY = 0;
+        for (let step = 1; step <= steps; step++) {
+            const nextX = Math.round(vx * step / distance);
+            const nextY = Math.round(vy * step / distance);
+            const dx = nextX - lastX;
+            const dy = nextY - lastY;
+            lastX = nextX;
+            lastY = nextY;
+            
+            const target = this.offset(currentX, currentY, dx, dy);
+            if (!this.isOpen(target)) {
+                this.collide(current, currentX, currentY, dx, dy);
+                break;
+            }
+            current = this.moveParticle(current, target);
+            if (current === -1) return; // flew off the grid
+            currentX = current % this.width;
+            currentY = (current - currentX) / this.width;
+        }
+        
+        // On the ground a particle slides to a stop; in the air it falls faster
+        let newVx = this.vx[current];
+        let newVy = this.vy[current];
+        const below = this.offset(currentX, currentY, 0, 1);
+        const onGround = !this.isOpen(below) && !(below >= 0 && this.vy[below] > 0);
+        if (onGround) {
+            newVx *= 1 - SLIDING_FRICTION;
+            newVy = Math.min(0, newVy);
+        } else {
+            newVy = Math.min(MAX_SPEED, newVy + this.gravity * FALL_ACCELERATION);
+        }
+        
+        // Slow enough on the ground, it lands and moves by the cellular rules again
+        if (onGround && Math.abs(newVx) < LANDING_SPEED && Math.abs(newVy) < LANDING_SPEED) {
+            newVx = 0;
+            newVy = 0;
+        } else {
+            this.keepAwake(current);
+        }
+        this.vx[current] = newVx;
+        this.vy[current] = newVy;
+    }
+    
+    // The flying particle at (x, y) ran into what is dx, dy away. It stops along the blocked
+    // axis. Landing, it turns some of its speed into a sideways splash, and a hard landing throws
+    // up the loose particles on either side of where it hits.
+    collide(i, x, y, dx, dy) {
+        let vx = this.vx[i];
+        let vy = this.vy[i];
+        
+        // When only the diagonal cell is taken, the particle lands on its corner
+        const blockedX = dx !== 0 && !this.isOpen(this.offset(x, y, dx, 0));
+        const straight = this.offset(x, y, 0, dy);
+        const blockedY = dy !== 0 && (!blockedX || !this.isOpen(straight));
+        if (blockedX) vx = 0;
+        
+        // Caught up with a particle flying the same way, it follows on at that particle's speed
+        let impact = 0;
+        if (blockedY) {
+            const blocker = this.isOpen(straight) ? this.offset(x, y, dx, dy) : straight;
+            const carried = blocker >= 0 && this.vy[blocker] * dy > 0 ? this.vy[blocker] : 0;
+            impact = Math.abs(vy - carried);
+            vy = carried;
+        }
+        
+        if (blockedY && dy > 0) {
+            const side = vx > 0 ? 1 : vx < 0 ? -1 : (this.random.next() < 0.5 ? -1 : 1);
+            vx += side * impact * this.splashes[this.grid[i]];
+            
+            for (const kickX of [-1, 1]) {
+                const neighbor = this.offset(x, y, kickX, 1);
+                if (neighbor < 0 || !this.isOpen(this.offset(x, y, kickX, 0))) continue;
+                
+                const kick = impact * this.splashes[this.grid[neighbor]] * (0.5 + 0.5 * this.random.next());
+                if (kick >= LANDING_SPEED) {
+                    this.launch(neighbor, kickX * kick, -kick);
+                }
+            }
+        }
+        
+        this.vx[i] = vx;
+        this.vy[i] = vy;
+    }
+    
+    updateFire(i, x, y) {
+        // Fire rises up and has limited lifespan, which keeps its chunk awake
+        this.life[i]--;
+        this.keepAwake(i);
+        
+        // Fire disappears when its life is over, leaving its heat in the air
+        if (this.life[i] <= 0) {
+            this.grid[i] = this.materials.EMPTY;
+            this.wake(i);
+            return;
+        }
+        
+        // Fire tries to rise
+        const above = this.offset(x, y, 0, -1);
+        const aboveLeft = this.offset(x, y, -1, -1);
+        const aboveRight = this.offset(x, y, 1, -1);
+        
+        // Try to move upward, tracking where the particle ends up
+        let target = -1;
+        if (this.isOpen(above)) {
+            target = above;
+        }
+        else if (this.isOpen(aboveLeft)) {
+            target = aboveLeft;
+        }
+        else if (this.isOpen(aboveRight)) {
+            target = aboveRight;
+        }
+        let current = i;
+        if (target !== -1) {
+            current = this.moveParticle(i, target);
+            if (current === -1) return;
+        }
+        
+        // Leave smoke behind occasionally in the cell it rose out of
+        if (current !== i && this.random.next() < 0.05 && this.isEmpty(i)) {
+            this.grid[i] = this.materials.SMOKE;
+            this.life[i] = this.properties[this.materials.SMOKE].lifespan;
+            this.wake(i);
+        }
+        
+        // Fire flickers and varies in intensity - adjust temperature
+        this.temp[current] = 350 + this.random.int(100);
+    }
+    
+    updateGas(i, x, y) {
+        const material = this.grid[i];
+        const lifespan = this.properties[material].lifespan;
+        
+        // Gas moves on random rolls, so a particle with room to move keeps its chunk awake to
+        // roll again even if it stays put this tick, as does one with a lifespan to use up. Gas
+        // packed in on every side sleeps until something next to it moves.
+        if (lifespan > 0 || this.gasCanMove(x, y, material)) {
+            this.keepAwake(i);
+        }
+        
+        // Gases with a lifespan thin out into the air when it is over (steam cooled below its
+        // boiling point condenses back to water first, see changePhase())
+        if (lifespan > 0) {
+            this.life[i]--;
+            if (this.life[i] <= 0) {
+                this.grid[i] = this.materials.EMPTY;
+                this.wake(i);
+                return;
+            }
+        }
+        
+        // Pressure: gas packed in among other gas pushes out along a random direction, through
+        // its own kind, into the first free cell, so gas fills a closed container instead of
+        // pooling at the top
+        if (this.countGasAround(x, y) >= 2) {
+            const side = this.random.int(4);
+            const dx = side === 0 ? -1 : side === 1 ? 1 : 0;
+            const dy = side === 2 ? -1 : side === 3 ? 1 : 0;
+            let cellX = x;
+            let cellY = y;
+            for (let step = 0; step < GAS_PRESSURE_REACH; step++) {
+                const target = this.offset(cellX, cellY, dx, dy);
+                if (this.isOpen(target)) {
+                    this.moveParticle(i, target);
+                    return;
+                }
+                if (target < 0 || this.grid[target] !== material) break;
+                cellX = target % this.width;
+                cellY = (target - cellX) / this.width;
+            }
+        }
+        
+        // Buoyancy: a step up through heavier gases, or through the air unless that packs it in
+        // (down, for gases heavier than air), slipping past a ceiling diagonally
+        const buoyancy = this.buoyancies[material];
+        if (this.random.next() < Math.abs(buoyancy)) {
+            const dy = buoyancy > 0 ? -1 : 1;
+            const side = this.random.next() < 0.5 ? -1 : 1;
+            for (const dx of [0, side, -side]) {
+                const target = this.offset(x, y, dx, dy);
+                if (target >= 0 && this.gases[this.grid[target]] === 1 &&
+                        this.densities[this.grid[target]] * dy < this.densities[material] * dy) {
+                    this.moveParticle(i, target);
+                    return;
+                }
+                if (target === VOID_CELL) {
+                    this.moveParticle(i, target);
+                    return;
+                }
+                if (this.isOpen(target)) {
+                    // The particle itself is one of the gas cells around a target straight above
+                    const targetX = target % this.width;
+                    if (this.countGasAround(targetX, (target - targetX) / this.width) < (dx === 0 ? 3 : 2)) {
+                        this.moveParticle(i, target);
+                    }
+                    return;
+                }
+            }
+        }
+        
+        // Diffusion: a step in a random direction, into the air or trading places with another
+        // gas, which mixes gases that meet
+        if (this.random.next() < this.diffusions[material]) {
+            const side = this.random.int(4);
+            const dx = side === 0 ? -1 : side === 1 ? 1 : 0;
+            const dy = side === 2 ? -1 : side === 3 ? 1 : 0;
+            const target = this.offset(x, y, dx, dy);
+            if (this.isOpen(target) || (target >= 0 && this.gases[this.grid[target]] === 1 && this.grid[target] !== material)) {
+                this.moveParticle(i, target);
+            }
+        }
+    }
+    
+    updateSpark(i, x, y) {
+        // Sparks fly about for a few ticks, which keeps their chunk awake
+        this.life[i]--;
+        this.keepAwake(i);
+        
+        if (this.life[i] <= 0) {
+            this.grid[i] = this.materials.EMPTY;
+            this.wake(i);
+            return;
+        }
+        
+        const target = this.offset(x, y, this.random.int(3) - 1, this.random.int(3) - 1);
+        if (target !== i && this.isOpen(target)) {
+            this.moveParticle(i, target);
+        }
+    }
+    
+    // Whether a gas particle at (x, y) has a cell around it to move into: free space, or a
+    // different gas to trade places with
+    gasCanMove(x, y, material) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const neighborIdx = this.offset(x, y, dx, dy);
+                if (this.isOpen(neighborIdx)) return true;
+                if (neighborIdx >= 0 && this.gases[this.grid[neighborIdx]] === 1 && this.grid[neighborIdx] !== material) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+    
+    // Number of gas particles in the four cells next to (x, y)
+    countGasAround(x, y) {
+        let count = 0;
+        for (let side = 0; side < 4; side++) {
+            const dx = side === 0 ? -1 : side === 1 ? 1 : 0;
+            const dy = side === 2 ? -1 : side === 3 ? 1 : 0;
+            const neighbor = this.offset(x, y, dx, dy);
+            if (neighbor >= 0 && this.gases[this.grid[neighbor]] === 1) count++;
+        }
+        return count;
+    }
+    
+    updateAcid(i, x, y) {
+        // Acid behaves like water but dissolves materials
+        this.life[i]--;
+        this.keepAwake(i);
+        
+        // Acid disappears over time
+        if (this.life[i] <= 0) {
+            this.grid[i] = this.materials.EMPTY;
+            this.vx[i] = 0;
+            this.vy[i] = 0;
+            this.wake(i);
+            return;
+        }
+        
+        if (this.isFlying(i)) {
+            this.updateFlight(i, x, y);
+            return;
+        }
+        
+        // Update movement like water
+        let current = i;
+        for (let g = 0; g < this.gravity; g++) {
+            const currentX = current % this.width;
+            const currentY = (current - currentX) / this.width;
+            const below = this.offset(currentX, currentY, 0, 1);
+            const belowLeft = this.offset(currentX, currentY, -1, 1);
+            const belowRight = this.offset(currentX, currentY, 1, 1);
+            const left = this.offset(currentX, currentY, -1, 0);
+            const right = this.offset(currentX, currentY, 1, 0);
+
+            if (this.isOpen(below)) {
+                this.startFalling(current, currentX, currentY);
+                return;
+            }
+            
+            let target = -1;
+            
+            if (this.canDisplace(current, below)) {
+                target = below;
+            }
+            else if (this.canDisplace(current, belowLeft)) {
+                target = belowLeft;
+            }
+            else if (this.canDisplace(current, belowRight)) {
+                target = belowRight;
+            }
+            if (target === -1) {
+                if (this.random.next() >= 0.7) break;
+                const next = this.flowSideways(current, currentX, currentY, left, right);
+                if (next === current) break;
+                current = next;
+                if (current === -1) return;
+                continue;
+            }
+            
+            current = this.moveParticle(current, target);
+            if (current === -1) return;
+        }
+    }
+    
+    updatePlant(i, x, y) {
+        // Plants are static but can grow, burn, or be eaten by acid
+        
+        // Plants can grow if next to water
+        if (this.isNearMaterial(x, y, this.materials.WATER)) {
+            this.keepAwake(i);
+            if (this.random.next() < this.properties[this.materials.PLANT].growthRate) {
+                this.growPlant(x, y);
+            }
+        }
+    }
+    
+    updateSource(i, x, y) {
+        // A faucet emits the material in its life (see emitterLife()) into a free cell next to it
+        const material = this.life[i] & 0xff;
+        const rate = this.life[i] >> 8;
+        if (material === this.materials.EMPTY || rate === 0 || !this.properties[material]) return;
+        
+        // Boxed in, it sleeps until a neighbor moves away and wakes it
+        const free = this.getNeighborIndices(x, y)
+            .filter(neighborIdx => this.grid[neighborIdx] === this.materials.EMPTY);
+        if (free.length === 0) return;
+        this.keepAwake(i);
+        if (this.random.next() * 100 >= rate) return;
+        
+        // Falling materials come out underneath, rising ones on top, or else on any free side
+        const behavior = BEHAVIORS[this.properties[material].behavior];
+        const preferred = this.offset(x, y, 0, behavior && behavior.pass === 'rise' ? -1 : 1);
+        const target = this.isEmpty(preferred) ? preferred : free[this.random.int(free.length)];
+        this.transform(target, material);
+        this.moved[target] = this.tick; // it starts moving next tick
+    }
+    
+    updateSink(i, x, y) {
+        // A drain deletes every loose particle around it. Walls and other fixtures stay.
+        for (const neighborIdx of this.getNeighborIndices(x, y)) {
+            const behavior = this.properties[this.grid[neighborIdx]].behavior;
+            if (behavior === 'static' || behavior === 'source' || behavior === 'sink') continue;
+            this.removeParticle(neighborIdx);
+        }
+    }
+    
+    // Exchange heat between the cell at i (a particle or air) and its neighbors
+    updateTemperature(i) {
+        if (i < 0 || i >= this.grid.length) return;
+        
+        const x = i % this.width;
+        const y = (i - x) / this.width;
+        const material = this.grid[i];
+        const shares = this.heatShares;
+        
+        // Heat flows from hot to cold, across wrapping edges too (neighbors walked inline; this
+        // runs for every particle). A pair conducts at the harmonic mean of their conductivities,
+        // so an insulator on either side slows it, and the heat one cell gives off is exactly what
+        // the other takes in, in proportion to their heat capacities. Every pair is visited from
+        // both sides, so each visit moves half of it.
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const neighborIdx = this.offset(x, y, dx, dy);
+                if (neighborIdx < 0 || neighborIdx === i) continue;
+                
+                const difference = this.temp[i] - this.temp[neighborIdx];
+                if (difference === 0) continue;
+                
+                const neighbor = this.grid[neighborIdx];
+                this.temp[i] -= shares[material * 256 + neighbor] * difference;
+                this.temp[neighborIdx] += shares[neighbor * 256 + material] * difference;
+
+                // Both chunks stay awake until the two cells are close to even
+                if (difference > SETTLED_TEMPERATURE || difference < -SETTLED_TEMPERATURE) {
+                    this.keepAwake(i);
+                    this.keepAwake(neighborIdx);
+                }
+            }
+        }
+        
+        // Air tends toward the ambient temperature, carrying heat away from (or into) the scene
+        if (material === this.materials.EMPTY) {
+            const difference = this.ambientTemp - this.temp[i];
+            this.temp[i] += difference * AIR_MIXING;
+            if (difference > SETTLED_TEMPERATURE || difference < -SETTLED_TEMPERATURE) {
+                this.keepAwake(i);
+            }
+        }
+    }
+    
+    // Melt, freeze, boil, condense or ignite the particle at i once its temperature is past one
+    // of its material's points. The particle keeps its temperature through a phase change, so no
+    // heat is made or lost; catching fire starts it at the fire's temperature.
+    changePhase(i) {
+        const changes = this.phaseChanges[this.grid[i]];
+        if (changes === null) return;
+        
+        const temp = this.temp[i];
+        for (const change of changes) {
+            if (change.above ? temp <= change.point : temp >= change.point) continue;
+            
+            // The change comes by chance, so the chunk stays awake until it does
+            this.keepAwake(i);
+            if (this.random.next() >= change.rate) return;
+            
+            if (change.into === this.materials.FIRE && this.properties[this.grid[i]].blastRadius > 0) {
+                this.detonate(i);
+            } else if (change.into === this.materials.FIRE) {
+                this.transform(i, change.into);
+            } else {
+                this.grid[i] = change.into;
+                this.life[i] = this.properties[change.into].lifespan;
+                this.vx[i] = 0;
+                this.vy[i] = 0;
+                this.wake(i);
+            }
+            return;
+        }
+    }
+    
+    // Set off the explosive particle at i. It turns to fire at the center of its blast.
+    detonate(i) {
+        const material = this.properties[this.grid[i]];
+        const x = i % this.width;
+        const y = (i - x) / this.width;
+        this.transform(i, this.materials.FIRE);
+        this.explode(x, y, material.blastRadius, material.blastForce);
+    }
+    
+    // Blow up a blast at (x, y) reaching radius cells and throwing loose particles outward at up
+    // to force cells per tick. The blast runs out along rays from the center, weakening with
+    // distance and with the blast resistance of every cell it passes (walls stop it). Where it
+    // is stronger than a material's resistance it destroys it, burning what is flammable; it heats
+    // everything it reaches, leaves fire near the center and sets off shock sensitive explosives,
+    // whose blasts follow in turn.
+    explode(x, y, radius, force) {
+        const fuses = [];
+        this.blast(x, y, radius, force, fuses);
+        while (fuses.length > 0) {
+            const index = fuses.pop();
+            const material = this.properties[fuses.pop()];
+            const fuseX = index % this.width;
+            this.blast(fuseX, (index - fuseX) / this.width, material.blastRadius, material.blastForce, fuses);
+        }
+    }
+    
+    // One blast of explode(). Explosives it sets off are pushed onto fuses as material, index.
+    blast(x, y, radius, force, fuses) {
+        const mark = this.blasts = (this.blasts + 1) >>> 0;
+        
+        // Enough rays that neighboring ones meet at the rim
+        const rays = Math.max(8, Math.ceil(2 * Math.PI * radius));
+        for (let ray = 0; ray < rays; ray++) {
+            const angle = 2 * Math.PI * ray / rays;
+            const dirX = Math.cos(angle);
+            const dirY = Math.sin(angle);
+            
+            // The ray is walked a cell at a time with offset(), so it carries on across wrapping
+            // edges and stops at the others
+            let power = 1;
+            let i = y * this.width + x;
+            for (let step = 1; step <= radius && power > 0; step++) {
+                const cellX = i % this.width;
+                i = this.offset(cellX, (i - cellX) / this.width,
+                    Math.round(dirX * step) - Math.round(dirX * (step - 1)),
+                    Math.round(dirY * step) - Math.round(dirY * (step - 1)));
+                if (i < 0) break;
+                
+                const material = this.properties[this.grid[i]];
+                if (this.blastMarks[i] !== mark) {
+                    this.blastMarks[i] = mark;
+                    this.blastCell(i, power * (1 - step / (radius + 1)), dirX, dirY, force, fuses);
+                }
+                power *= 1 - material.blastResistance;
+            }
+        }
+    }
+    
+    // A blast reaches the cell at i with the given strength (0-1), heading along (dirX, dirY)
+    blastCell(i, strength, dirX, dirY, force, fuses) {
+        const material = this.properties[this.grid[i]];
+        this.temp[i] += BLAST_HEAT * strength;
+        this.wake(i);
+        
+        if (material.id === this.materials.EMPTY) {
+            if (this.random.next() < strength * strength) {
+                this.transform(i, this.materials.FIRE);
+            }
+        } else if (material.shockSensitive && material.blastRadius > 0) {
+            fuses.push(material.id, i);
+            this.transform(i, this.materials.FIRE);
+        } else if (this.fliers[material.id] === 1) {
+            // Thrown outward, and a little upward
+            const speed = force * strength;
+            this.launch(i, dirX * speed, dirY * speed - speed / 4);
+        } else if (strength > material.blastResistance) {
+            if (material.flammable) {
+                this.transform(i, this.materials.FIRE);
+            } else {
+                // Gone, leaving its heat in the air
+                this.grid[i] = this.materials.EMPTY;
+                this.life[i] = 0;
+            }
+        }
+    }
+    
+    // Helper methods for material interactions
+    
+    isNearMaterial(x, y, materialType) {
+        const neighbors = this.getNeighborIndices(x, y);
+        for (const neighborIdx of neighbors) {
+            if (neighborIdx >= 0 && neighborIdx < this.grid.length && this.grid[neighborIdx] === materialType) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Indices of the cells around (x, y), including the ones across wrapping edges
+    getNeighborIndices(x, y) {
+        const neighbors = [];
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                
+                const neighborIdx = this.offset(x, y, dx, dy);
+                if (neighborIdx >= 0) {
+                    neighbors.push(neighborIdx);
+                }
+            }
+        }
+        return neighbors;
+    }
+    
+    // Try every reaction rule for the particle at i against each of its neighbors
+    react(i, x, y) {
+        const material = this.grid[i];
+        const rules = REACTIONS_BY_MATERIAL[material];
+        if (!rules) return;
+        
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const neighborIdx = this.offset(x, y, dx, dy);
+                if (neighborIdx >= 0 && neighborIdx !== i) {
+                    this.reactWithNeighbor(i, neighborIdx, material, rules);
+                }
+                // Stop once the reacting particle itself has been consumed
+                if (this.grid[i] !== material) return;
+            }
+        }
+    }
+    
+    reactWithNeighbor(i, neighborIdx, material, rules) {
+        for (const rule of rules) {
+            if (this.grid[i] !== material) return;
+            
+            const other = this.grid[neighborIdx];
+            if (rule.matchTable[other] === 0) continue;
+            
+            const neighborTemp = this.temp[neighborIdx];
+            if (rule.neighborTempBelow !== undefined && neighborTemp >= rule.neighborTempBelow) continue;
+            if (rule.neighborTempAbove !== undefined && neighborTemp <= rule.neighborTempAbove) continue;
+            
+            // A reaction that can happen keeps the chunk awake, whether or not it fires this tick
+            this.keepAwake(i);
+            
+            let chance = rule.chance;
+            if (rule.resistedBy) {
+                chance *= 1 - (this.properties[other][rule.resistedBy] || 0);
+            }
+            if (this.random.next() >= chance) continue;
+            
+            if (rule.heat) {
+                this.temp[i] += rule.heat[0];
+                this.temp[neighborIdx] += rule.heat[1];
+                this.keepAwake(neighborIdx);
+            }
+            if (rule.products[1] !== null) {
+                this.transform(neighborIdx, rule.products[1]);
+            }
+            if (rule.products[0] !== null) {
+                this.transform(i, rule.products[0]);
+            }
+            
+            this.reactionCounts[rule.name] = (this.reactionCounts[rule.name] || 0) + 1;
+        }
+    }
+    
+    growPlant(x, y) {
+        // Try to grow plant in empty neighboring cells
+        const neighbors = this.getNeighborIndices(x, y)
+            .filter(neighborIdx => this.grid[neighborIdx] === this.materials.EMPTY);
+        
+        // Randomly select one empty neighbor to grow into
+        if (neighbors.length > 0) {
+            this.transform(neighbors[this.random.int(neighbors.length)], this.materials.PLANT);
+        }
+    }
+}
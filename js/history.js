@@ -0,0 +1,154 @@
+/**
+ * Undo/redo history
+ * Each user operation (a brush stroke, a shape, a preset) is stored as a diff: the cells it
+ * wrote, with their state before and after. Undo writes the "before" values back, redo the
+ * "after" values. Old steps are dropped once the history grows past its memory budget.
+ */
+
+// Per-cell arrays of a Grid that a step restores
+const HISTORY_CHANNELS = [
+    { key: 'grid', type: Uint8Array },
+    { key: 'temp', type: Float32Array },
+    { key: 'life', type: Int16Array },
+    { key: 'shade', type: Uint8Array },
+    { key: 'vx', type: Float32Array },
+    { key: 'vy', type: Float32Array }
+];
+
+// Bytes one recorded cell costs: its index plus a before and after copy of every channel
+const HISTORY_BYTES_PER_CELL = 4 + 2 * HISTORY_CHANNELS.reduce(
+    (total, channel) => total + channel.type.BYTES_PER_ELEMENT, 0);
+
+export class EditHistory {
+    constructor(budgetBytes = 32 * 1024 * 1024) {
+        this.budgetBytes = budgetBytes;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.usedBytes = 0;
+
+        this.pending = null; // step being recorded, between beginOperation() and endOperation()
+        this.touched = [];   // indices written during the current record() call
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.usedBytes = 0;
+        this.pending = null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    beginOperation() {
+        if (this.pending) this.endOperation();
+        this.pending = { slots: new Map(), indices: [], before: [], after: [] };
+    }
+
+    // Run fn with the grid reporting every cell it writes into the current operation.
+    // Writes made by the simulation between record() calls are not captured.
+    record(grid, fn) {
+        const standalone = !this.pending;
+        if (standalone) this.beginOperation();
+
+        grid.recorder = this;
+        try {
+            fn();
+        } finally {
+            grid.recorder = null;
+            this.captureAfter(grid);
+            if (standalone) this.endOperation();
+        }
+    }
+
+    // Called by Grid before it overwrites a cell while recording
+    captureBefore(grid, index) {
+        const pending = this.pending;
+        if (!pending.slots.has(index)) {
+            pending.slots.set(index, pending.indices.length);
+            pending.indices.push(index);
+            pending.before.push(HISTORY_CHANNELS.map(channel => grid[channel.key][index]));
+            pending.after.push(null);
+        }
+        this.touched.push(index);
+    }
+
+    captureAfter(grid) {
+        const pending = this.pending;
+        for (const index of this.touched) {
+            pending.after[pending.slots.get(index)] = HISTORY_CHANNELS.map(channel => grid[channel.key][index]);
+        }
+        this.touched = [];
+    }
+
+    endOperation() {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending || pending.indices.length === 0) return;
+
+        // Pack the step into typed arrays, one per channel
+        const count = pending.indices.length;
+        const step = {
+            indices: Int32Array.from(pending.indices),
+            before: HISTORY_CHANNELS.map(channel => new channel.type(count)),
+            after: HISTORY_CHANNELS.map(channel => new channel.type(count)),
+            bytes: count * HISTORY_BYTES_PER_CELL
+        };
+        for (let slot = 0; slot < count; slot++) {
+            for (let c = 0; c < HISTORY_CHANNELS.length; c++) {
+                step.before[c][slot] = pending.before[slot][c];
+                step.after[c][slot] = pending.after[slot][c];
+            }
+        }
+
+        this.undoStack.push(step);
+        this.usedBytes += step.bytes;
+        for (const undone of this.redoStack) {
+            this.usedBytes -= undone.bytes;
+        }
+        this.redoStack = [];
+
+        // Keep at least the newest step, even if it alone is over budget
+        while (this.usedBytes > this.budgetBytes && this.undoStack.length > 1) {
+            this.usedBytes -= this.undoStack.shift().bytes;
+        }
+    }
+
+    undo(grid) {
+        if (this.pending) this.endOperation();
+        const step = this.undoStack.pop();
+        if (!step) return false;
+
+        this.apply(grid, step, step.before);
+        this.redoStack.push(step);
+        return true;
+    }
+
+    redo(grid) {
+        if (this.pending) this.endOperation();
+        const step = this.redoStack.pop();
+        if (!step) return false;
+
+        this.apply(grid, step, step.after);
+        this.undoStack.push(step);
+        return true;
+    }
+
+    apply(grid, step, values) {
+        for (let c = 0; c < HISTORY_CHANNELS.length; c++) {
+            const target = grid[HISTORY_CHANNELS[c].key];
+            const source = values[c];
+            for (let slot = 0; slot < step.indices.length; slot++) {
+                target[step.indices[slot]] = source[slot];
+            }
+        }
+        for (let slot = 0; slot < step.indices.length; slot++) {
+            grid.wake(step.indices[slot]);
+        }
+    }
+}
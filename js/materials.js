@@ -0,0 +1,452 @@
+/**
+ * Material registry
+ * Every material the simulation knows about is described once here. The grid, the renderer,
+ * the palette and the keyboard shortcuts all read from this table.
+ */
+
+// Behavior kinds a material can declare. Each maps to the Grid routine that moves it and the
+// pass it runs in: 'fall' scans bottom to top, 'rise' scans top to bottom. Frozen particles stay
+// put like static ones, but are loose enough for a drain to take. Particles that fly can pick
+// up a velocity, falling or thrown (see Grid.updateFlight()). Ones that flow are liquids: they
+// spread by their dispersion and connected bodies of them level out (see Grid.levelLiquids()).
+// Ones that diffuse are gases: they wander by their diffusion, rise or sink by their density
+// against air's and spread out when packed (see Grid.updateGas()).
+export const BEHAVIORS = {
+    static: null,
+    powder: { pass: 'fall', update: 'updateSand', flies: true },
+    liquid: { pass: 'fall', update: 'updateWater', flies: true, flows: true },
+    viscous: { pass: 'fall', update: 'updateOil', flies: true, flows: true },
+    corrosive: { pass: 'fall', update: 'updateAcid', flies: true, flows: true },
+    frozen: null,
+    fire: { pass: 'rise', update: 'updateFire' },
+    gas: { pass: 'rise', update: 'updateGas', diffuses: true },
+    plant: { pass: 'rise', update: 'updatePlant' },
+    spark: { pass: 'rise', update: 'updateSpark' },
+    source: { pass: 'fall', update: 'updateSource' },
+    sink: { pass: 'fall', update: 'updateSink' }
+};
+
+// Parts a material can play in a circuit (see Grid.updatePower()): sources power the circuit
+// they touch, conductors carry power, switches carry it while switched on and loads use it
+export const CIRCUIT_PARTS = ['source', 'conductor', 'switch', 'load'];
+
+// Values used for any property a definition leaves out
+const MATERIAL_DEFAULTS = {
+    density: 1,
+    flammable: false,
+    lifespan: 0,
+    spawnTemp: null,       // temperature a freshly placed particle starts at (null keeps the cell's)
+    heatCapacity: 1,       // heat it takes to warm a particle by one degree
+    conductivity: 0.1,     // share of the temperature gap to a neighbor closed per tick (0-1)
+    meltingPoint: null,    // celsius; meltsInto above it, freezesInto below it
+    boilingPoint: null,    // celsius; boilsInto above it, condensesInto below it
+    ignitionPoint: null,   // celsius; catches fire above it
+    meltsInto: null,       // material names for the phase changes
+    freezesInto: null,
+    boilsInto: null,
+    condensesInto: null,
+    phaseChangeRate: 0.1,  // chance per tick of a phase change or ignition, once past its point
+    acidResistance: 0,     // 0 dissolves freely, 1 is immune to acid
+    blastResistance: 0.1,  // 0-1: a blast weaker than this leaves it be, and it weakens a blast
+                           // passing through by this share (1 stops it)
+    blastRadius: 0,        // explosives: cells a blast reaches when it goes off (0 for none)
+    blastForce: 0,         // explosives: speed in cells per tick it throws particles at the center
+    shockSensitive: false, // explosives: set off by another blast, not just by heat
+    splash: 0,             // share of its landing speed a flying particle throws sideways (0-1)
+    dispersion: 1,         // liquids: cells it flows sideways per tick, and particles a connected
+                           // body of it moves per tick to level out
+    diffusion: 0.5,        // gases: chance per tick of a step in a random direction (0-1)
+    circuit: null,         // part it plays in circuits, one of CIRCUIT_PARTS (null for none)
+    poweredTemp: null,     // loads: celsius it is held at while powered
+    behavior: 'static',
+    color: '#ffffff',
+    colorVariation: [5, 5], // random spread applied to the red/green and blue channels
+    colorMode: 'varied',   // 'varied', 'fire' (yellows with remaining life), 'fade' (alpha by life) or
+                           // 'circuit' (lit while powered, dim while switched off)
+    palette: true          // show a button for it in the material palette
+};
+
+export const MATERIALS = [];     // definitions indexed by id
+export const MATERIAL_IDS = {};  // NAME -> id
+
+// Counts the changes to the material and reaction registries, so a Grid can tell when the
+// lookup tables it builds from them are out of date
+let registryVersion = 0;
+
+export function getRegistryVersion() {
+    return registryVersion;
+}
+
+export function markRegistryChanged() {
+    registryVersion++;
+}
+
+export function registerMaterial(definition) {
+    if (!definition || typeof definition.name !== 'string' || definition.name === '') {
+        throw new Error('registerMaterial: a material needs a name');
+    }
+
+    const name = definition.name.toUpperCase();
+    if (name in MATERIAL_IDS) {
+        throw new Error(`registerMaterial: "${name}" is already registered`);
+    }
+
+    const id = definition.id !== undefined ? definition.id : MATERIALS.length;
+    // The grid stores material ids in a Uint8Array
+    if (!Number.isInteger(id) || id < 0 || id > 255 || MATERIALS[id]) {
+        throw new Error(`registerMaterial: id ${id} for "${name}" is invalid or already taken`);
+    }
+
+    const behavior = definition.behavior || MATERIAL_DEFAULTS.behavior;
+    if (!(behavior in BEHAVIORS)) {
+        throw new Error(`registerMaterial: unknown behavior "${behavior}" for "${name}"`);
+    }
+    if (definition.circuit != null && !CIRCUIT_PARTS.includes(definition.circuit)) {
+        throw new Error(`registerMaterial: unknown circuit part "${definition.circuit}" for "${name}"`);
+    }
+    if (definition.heatCapacity !== undefined && !(definition.heatCapacity > 0)) {
+        throw new Error(`registerMaterial: the heat capacity of "${name}" must be positive`);
+    }
+
+    MATERIALS[id] = {
+        ...MATERIAL_DEFAULTS,
+        ...definition,
+        id,
+        name,
+        label: definition.label || name.charAt(0) + name.slice(1).toLowerCase()
+    };
+    MATERIAL_IDS[name] = id;
+    markRegistryChanged();
+    
+    return id;
+}
+
+export function getMaterial(nameOrId) {
+    const id = typeof nameOrId === 'string' ? MATERIAL_IDS[nameOrId.toUpperCase()] : nameOrId;
+    return MATERIALS[id] || null;
+}
+
+// Built-in materials. Ids are stable: they are what the grid stores.
+
+// Empty cells are air: they hold a temperature, pass heat on slowly and drift back to the
+// grid's ambient temperature
+registerMaterial({
+    id: 0,
+    name: 'EMPTY',
+    label: 'Eraser',
+    density: 0,
+    heatCapacity: 0.1,
+    conductivity: 0.02,
+    color: '#000000',
+    palette: false // the eraser is added to the palette separately
+});
+
+registerMaterial({
+    name: 'SAND',
+    density: 3,
+    heatCapacity: 0.8,
+    conductivity: 0.2,
+    acidResistance: 0.5,
+    blastResistance: 0.2,
+    splash: 0.2,
+    behavior: 'powder',
+    color: '#e6c88c',
+    colorVariation: [15, 10]
+});
+
+registerMaterial({
+    name: 'WATER',
+    density: 2,
+    heatCapacity: 4,
+    conductivity: 0.3,
+    meltingPoint: 0,
+    freezesInto: 'ICE',
+    boilingPoint: 100,
+    boilsInto: 'STEAM',
+    circuit: 'conductor',
+    splash: 0.6,
+    dispersion: 5,
+    behavior: 'liquid',
+    color: '#4b8ffc',
+    colorVariation: [5, 10]
+});
+
+registerMaterial({
+    name: 'WALL',
+    density: 10,
+    heatCapacity: 2,
+    conductivity: 0.15,
+    acidResistance: 0.9,
+    blastResistance: 1,
+    color: '#888888'
+});
+
+registerMaterial({
+    name: 'FIRE',
+    density: 0.5,
+    heatCapacity: 0.5,
+    conductivity: 0.5,
+    lifespan: 100,
+    spawnTemp: 400,
+    behavior: 'fire',
+    color: '#ff4a00',
+    colorMode: 'fire'
+});
+
+registerMaterial({
+    name: 'OIL',
+    density: 1.5,
+    flammable: true,
+    heatCapacity: 2,
+    ignitionPoint: 220,
+    phaseChangeRate: 0.2,
+    splash: 0.3,
+    dispersion: 1,
+    behavior: 'viscous',
+    color: '#6b5918'
+});
+
+registerMaterial({
+    name: 'PLANT',
+    density: 1,
+    flammable: true,
+    heatCapacity: 1.5,
+    ignitionPoint: 150,
+    growthRate: 0.01,
+    behavior: 'plant',
+    color: '#3a9e37'
+});
+
+registerMaterial({
+    name: 'ACID',
+    density: 2.2,
+    heatCapacity: 3,
+    conductivity: 0.3,
+    lifespan: 500,
+    acidResistance: 1,
+    splash: 0.5,
+    dispersion: 3,
+    behavior: 'corrosive',
+    color: '#97fc5c'
+});
+
+registerMaterial({
+    name: 'ICE',
+    density: 1.8,
+    heatCapacity: 2,
+    conductivity: 0.4,
+    blastResistance: 0.3,
+    meltingPoint: 0,
+    meltsInto: 'WATER',
+    phaseChangeRate: 0.05,
+    behavior: 'frozen',
+    color: '#b0f5fc'
+});
+
+registerMaterial({
+    name: 'STEAM',
+    density: 0.3,
+    lifespan: 200,
+    spawnTemp: 110,
+    heatCapacity: 2,
+    boilingPoint: 100,
+    condensesInto: 'WATER',
+    phaseChangeRate: 0.2,
+    acidResistance: 1,
+    behavior: 'gas',
+    color: '#d0d0d0',
+    colorMode: 'fade'
+});
+
+// Emits a material into the free cells around it; what and how often is kept in each
+// particle's life (see emitterLife() in grid.js)
+registerMaterial({
+    name: 'FAUCET',
+    density: 10,
+    acidResistance: 1,
+    blastResistance: 1,
+    behavior: 'source',
+    color: '#2f7fa8'
+});
+
+// Deletes any loose particle that touches it
+registerMaterial({
+    name: 'DRAIN',
+    density: 10,
+    acidResistance: 1,
+    blastResistance: 1,
+    behavior: 'sink',
+    color: '#5a3a6e'
+});
+
+// Explosives go off when they reach their ignition point, or (if shock sensitive) when caught
+// in another blast, see Grid.explode()
+
+// Burns fast: each grain goes off in a small blast whose heat lights the grains around it
+registerMaterial({
+    name: 'GUNPOWDER',
+    density: 2.8,
+    heatCapacity: 0.8,
+    conductivity: 0.2,
+    ignitionPoint: 120,
+    phaseChangeRate: 1,
+    blastRadius: 3,
+    blastForce: 2,
+    splash: 0.1,
+    behavior: 'powder',
+    color: '#3c3c3c',
+    colorVariation: [12, 12]
+});
+
+registerMaterial({
+    name: 'TNT',
+    density: 5,
+    heatCapacity: 1.5,
+    ignitionPoint: 250,
+    phaseChangeRate: 1,
+    blastRadius: 10,
+    blastForce: 6,
+    shockSensitive: true,
+    color: '#c8281e',
+    colorVariation: [10, 5]
+});
+
+// Only another blast sets it off, never heat
+registerMaterial({
+    name: 'C4',
+    label: 'C4',
+    density: 5,
+    heatCapacity: 1.5,
+    blastRadius: 16,
+    blastForce: 9,
+    shockSensitive: true,
+    color: '#e8e0c0',
+    colorVariation: [6, 6]
+});
+
+// Gases. Air is density 1: lighter gases rise through it, and the lighter, the faster.
+
+// Given off by fire; fades away as it drifts up
+registerMaterial({
+    name: 'SMOKE',
+    density: 0.8,
+    lifespan: 150,
+    conductivity: 0.05,
+    acidResistance: 1,
+    diffusion: 0.6,
+    behavior: 'gas',
+    color: '#707070',
+    colorMode: 'fade'
+});
+
+// Hangs around until it meets a flame, as from a leaking faucet
+registerMaterial({
+    name: 'METHANE',
+    density: 0.55,
+    flammable: true,
+    conductivity: 0.05,
+    ignitionPoint: 540,
+    phaseChangeRate: 0.5,
+    acidResistance: 1,
+    diffusion: 0.4,
+    behavior: 'gas',
+    color: '#34452c',
+    colorVariation: [4, 4]
+});
+
+registerMaterial({
+    name: 'HYDROGEN',
+    density: 0.07,
+    flammable: true,
+    conductivity: 0.05,
+    ignitionPoint: 500,
+    phaseChangeRate: 0.5,
+    acidResistance: 1,
+    diffusion: 0.8,
+    behavior: 'gas',
+    color: '#2e3452',
+    colorVariation: [4, 4]
+});
+
+// Circuits. A particle in one keeps whether it is powered (and a switch, whether it is on) in
+// its life, see POWERED and SWITCHED_ON in grid.js.
+
+registerMaterial({
+    name: 'WIRE',
+    density: 10,
+    heatCapacity: 0.5,
+    conductivity: 0.6,
+    acidResistance: 0.3,
+    blastResistance: 0.5,
+    circuit: 'conductor',
+    color: '#b87333',
+    colorVariation: [4, 4],
+    colorMode: 'circuit'
+});
+
+registerMaterial({
+    name: 'BATTERY',
+    density: 10,
+    heatCapacity: 2,
+    acidResistance: 0.5,
+    blastResistance: 0.5,
+    circuit: 'source',
+    color: '#d4b020',
+    colorVariation: [4, 4]
+});
+
+// Painted switched off; clicking one with the switch brush flips it (see Grid.toggleSwitches())
+registerMaterial({
+    name: 'SWITCH',
+    density: 10,
+    heatCapacity: 0.5,
+    conductivity: 0.3,
+    acidResistance: 0.3,
+    blastResistance: 0.5,
+    circuit: 'switch',
+    color: '#9aa0a8',
+    colorVariation: [3, 3],
+    colorMode: 'circuit'
+});
+
+registerMaterial({
+    name: 'HEATER',
+    density: 10,
+    heatCapacity: 2,
+    conductivity: 0.5,
+    acidResistance: 0.5,
+    blastResistance: 0.5,
+    circuit: 'load',
+    poweredTemp: 250,
+    color: '#a83a20',
+    colorVariation: [4, 4],
+    colorMode: 'circuit'
+});
+
+registerMaterial({
+    name: 'COOLER',
+    density: 10,
+    heatCapacity: 2,
+    conductivity: 0.5,
+    acidResistance: 0.5,
+    blastResistance: 0.5,
+    circuit: 'load',
+    poweredTemp: -40,
+    color: '#3a6ab0',
+    colorVariation: [4, 4],
+    colorMode: 'circuit'
+});
+
+// Thrown off by the bare ends of live conductors; heats what it touches (see reactions.js)
+registerMaterial({
+    name: 'SPARK',
+    density: 0.5,
+    lifespan: 8,
+    spawnTemp: 600,
+    heatCapacity: 0.2,
+    conductivity: 0.2,
+    acidResistance: 1,
+    behavior: 'spark',
+    color: '#fff3a0',
+    colorMode: 'fade'
+});
@@ -0,0 +1,136 @@
+/**
+ * Preset structures
+ * Ready-made wall layouts that can be dropped onto a grid, centered on a point.
+ */
+
+import { MATERIAL_IDS } from './materials.js';
+import { emitterLife } from './grid.js';
+
+export const PRESETS = {
+    barrier(grid, x, y) {
+        const wall = MATERIAL_IDS.WALL;
+        grid.drawRect(x - 20, y - 3, x + 20, y + 3, wall, true);
+    },
+
+    funnel(grid, x, y) {
+        const wall = MATERIAL_IDS.WALL;
+        
+        grid.drawLine(x - 15, y - 15, x, y + 5, wall, 1);
+        grid.drawLine(x + 15, y - 15, x, y + 5, wall, 1);
+    },
+
+    container(grid, x, y) {
+        const wall = MATERIAL_IDS.WALL;
+        
+        grid.drawRect(x - 20, y - 20, x + 20, y + 20, wall, false);
+        // Add a small opening at the top
+        grid.drawLine(x - 5, y - 20, x + 5, y - 20, MATERIAL_IDS.EMPTY, 1);
+    },
+
+    hourglass(grid, x, y) {
+        const wall = MATERIAL_IDS.WALL;
+        
+        // Top container
+        grid.drawRect(x - 15, y - 25, x + 15, y - 10, wall, false);
+        // Bottom container
+        grid.drawRect(x - 15, y + 10, x + 15, y + 25, wall, false);
+        // Funnel connecting them
+        grid.drawLine(x - 10, y - 10, x, y, wall, 1);
+        grid.drawLine(x + 10, y - 10, x, y, wall, 1);
+        grid.drawLine(x - 10, y + 10, x, y, wall, 1);
+        grid.drawLine(x + 10, y + 10, x, y, wall, 1);
+        // Add some sand in the top half
+        for (let cy = y - 24; cy < y - 12; cy++) {
+            for (let cx = x - 14; cx < x + 14; cx++) {
+                if (grid.inBounds(cx, cy) && grid.random.next() < 0.7) {
+                    grid.set(cx, cy, MATERIAL_IDS.SAND);
+                }
+            }
+        }
+    },
+
+    // Two arms joined at the bottom, one full of water, which levels out across both
+    vessels(grid, x, y) {
+        const wall = MATERIAL_IDS.WALL;
+        
+        grid.drawLine(x - 16, y - 20, x - 16, y + 15, wall, 0);
+        grid.drawLine(x + 16, y - 20, x + 16, y + 15, wall, 0);
+        grid.drawLine(x - 16, y + 15, x + 16, y + 15, wall, 0);
+        grid.drawRect(x - 8, y - 20, x + 8, y + 8, wall, true);
+        grid.drawRect(x - 15, y - 16, x - 9, y + 14, MATERIAL_IDS.WATER, true);
+        grid.drawRect(x - 8, y + 9, x + 15, y + 14, MATERIAL_IDS.WATER, true);
+    },
+
+    demolition(grid, x, y) {
+        const wall = MATERIAL_IDS.WALL;
+        
+        // A gunpowder fuse runs to a charge of TNT under a heap of sand, close enough to set off
+        // the next charge and the C4 beyond it. Sand behind the wall on the right stays put.
+        grid.drawLine(x - 26, y + 12, x + 26, y + 12, wall, 0);
+        grid.drawLine(x + 16, y - 2, x + 16, y + 11, wall, 0);
+        grid.drawLine(x - 24, y + 11, x - 13, y + 11, MATERIAL_IDS.GUNPOWDER, 0);
+        grid.drawRect(x - 12, y + 8, x - 9, y + 11, MATERIAL_IDS.TNT, true);
+        grid.drawRect(x - 12, y + 3, x - 9, y + 7, MATERIAL_IDS.SAND, true);
+        grid.drawRect(x - 2, y + 9, x, y + 11, MATERIAL_IDS.TNT, true);
+        grid.drawRect(x + 7, y + 10, x + 8, y + 11, MATERIAL_IDS.C4, true);
+        grid.drawRect(x + 18, y + 6, x + 24, y + 11, MATERIAL_IDS.SAND, true);
+    },
+    
+    waterfall(grid, x, y) {
+        const wall = MATERIAL_IDS.WALL;
+        
+        // A faucet pours water down a ledge into a basin with drains in its floor, so the water
+        // keeps running without ever filling the basin
+        grid.drawLine(x - 18, y - 24, x - 14, y - 24, MATERIAL_IDS.FAUCET, 0, emitterLife(MATERIAL_IDS.WATER, 30));
+        grid.drawLine(x - 20, y - 28, x - 20, y - 16, wall, 1);
+        grid.drawLine(x - 20, y - 16, x + 4, y - 8, wall, 1);
+        
+        // Drains first, as the floor only fills the cells around them
+        grid.drawLine(x - 10, y + 20, x + 10, y + 20, MATERIAL_IDS.DRAIN, 0);
+        grid.drawLine(x - 20, y + 20, x + 20, y + 20, wall, 0);
+        grid.drawLine(x - 20, y + 21, x + 20, y + 21, wall, 0);
+        grid.drawLine(x - 20, y + 8, x - 20, y + 19, wall, 0);
+        grid.drawLine(x + 20, y + 8, x + 20, y + 19, wall, 0);
+    },
+
+    maze(grid, x, y) {
+        const wall = MATERIAL_IDS.WALL;
+        
+        // Create a simple maze pattern
+        const size = 40;
+        const halfSize = size / 2;
+        
+        // Outer walls
+        grid.drawRect(x - halfSize, y - halfSize, x + halfSize, y + halfSize, wall, false);
+        
+        // Horizontal dividers
+        for (let i = 1; i < 3; i++) {
+            const yPos = y - halfSize + (size / 3) * i;
+            const gap = 10;
+            const gapPos = x - halfSize + gap + grid.random.int(size - 2 * gap);
+            
+            // Draw line with a gap
+            grid.drawLine(x - halfSize, yPos, gapPos, yPos, wall, 1);
+            grid.drawLine(gapPos + 10, yPos, x + halfSize, yPos, wall, 1);
+        }
+        
+        // Vertical dividers
+        for (let i = 1; i < 3; i++) {
+            const xPos = x - halfSize + (size / 3) * i;
+            const gap = 10;
+            const gapPos = y - halfSize + gap + grid.random.int(size - 2 * gap);
+            
+            // Draw line with a gap
+            grid.drawLine(xPos, y - halfSize, xPos, gapPos, wall, 1);
+            grid.drawLine(xPos, gapPos + 10, xPos, y + halfSize, wall, 1);
+        }
+    }
+};
+
+export function createPreset(grid, preset, x, y) {
+    const build = PRESETS[preset];
+    if (!build) {
+        throw new Error(`Unknown preset "${preset}"`);
+    }
+    build(grid, x, y);
+}
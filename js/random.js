@@ -0,0 +1,34 @@
+/**
+ * Seeded random numbers
+ * A small deterministic generator (mulberry32) so a scene evolves the same way every time it
+ * is run from the same seed. Its whole state is one 32-bit integer, which the scene file saves.
+ */
+
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), a drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+}
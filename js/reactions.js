@@ -0,0 +1,168 @@
+/**
+ * Reaction table
+ * Material-to-material interactions as data. Each tick every particle looks at its eight
+ * neighbors once and tries every rule whose reactants match the pair.
+ *
+ * A rule looks like:
+ *   {
+ *       name: 'water extinguishes fire', // optional, used for the fired-rule counters
+ *       reactants: ['WATER', 'FIRE'],    // the reacting particle, then the neighbor
+ *       products: [null, 'STEAM'],       // what each becomes; null leaves that cell alone
+ *       chance: 0.4,                     // per neighbor, per tick
+ *       heat: [0, 5],                    // optional temperature change for each cell
+ *       resistedBy: 'acidResistance',    // optional neighbor property (0-1) that scales chance down
+ *       neighborTempBelow: 0,            // optional, only react while the neighbor is colder
+ *       neighborTempAbove: 100           // optional, only react while the neighbor is hotter
+ *   }
+ *
+ * The first reactant must be a material name. The neighbor may be a material name, '*' for
+ * any non-empty cell, or an object of properties a material must have (e.g. { flammable: true }).
+ */
+
+import { MATERIAL_IDS, markRegistryChanged } from './materials.js';
+
+export const REACTIONS = [];
+export const REACTIONS_BY_MATERIAL = []; // material id -> rules where it is the first reactant
+
+function resolveMaterialId(name, ruleName) {
+    const id = MATERIAL_IDS[String(name).toUpperCase()];
+    if (id === undefined) {
+        throw new Error(`registerReaction: unknown material "${name}" in "${ruleName}"`);
+    }
+    return id;
+}
+
+function compileMatcher(pattern, ruleName) {
+    if (pattern === '*') {
+        return material => material.id !== MATERIAL_IDS.EMPTY;
+    }
+    if (typeof pattern === 'string') {
+        const id = resolveMaterialId(pattern, ruleName);
+        return material => material.id === id;
+    }
+    if (pattern && typeof pattern === 'object') {
+        const entries = Object.entries(pattern);
+        return material => material.id !== MATERIAL_IDS.EMPTY &&
+            entries.every(([key, value]) => material[key] === value);
+    }
+    throw new Error(`registerReaction: invalid neighbor pattern in "${ruleName}"`);
+}
+
+function describePattern(pattern) {
+    return typeof pattern === 'string' ? pattern : JSON.stringify(pattern);
+}
+
+export function registerReaction(definition) {
+    if (!definition || !Array.isArray(definition.reactants) || definition.reactants.length !== 2) {
+        throw new Error('registerReaction: a reaction needs exactly two reactants');
+    }
+
+    const [actor, neighbor] = definition.reactants;
+    const products = definition.products || [null, null];
+    const name = definition.name ||
+        `${describePattern(actor)} + ${describePattern(neighbor)} -> ` +
+        products.map(product => product || '_').join(' + ');
+
+    if (typeof actor !== 'string' || actor === '*') {
+        throw new Error(`registerReaction: the first reactant of "${name}" must be a material name`);
+    }
+
+    const rule = {
+        ...definition,
+        name,
+        actor: resolveMaterialId(actor, name),
+        matches: compileMatcher(neighbor, name),
+        products: products.map(product => product ? resolveMaterialId(product, name) : null),
+        chance: definition.chance !== undefined ? definition.chance : 1,
+        heat: definition.heat || null
+    };
+
+    REACTIONS.push(rule);
+    if (!REACTIONS_BY_MATERIAL[rule.actor]) {
+        REACTIONS_BY_MATERIAL[rule.actor] = [];
+    }
+    REACTIONS_BY_MATERIAL[rule.actor].push(rule);
+    markRegistryChanged();
+    
+    return rule;
+}
+
+// Built-in chemistry
+
+registerReaction({
+    name: 'fire heats surroundings',
+    reactants: ['FIRE', '*'],
+    heat: [0, 5]
+});
+
+registerReaction({
+    name: 'fire spreads to flammables',
+    reactants: ['FIRE', { flammable: true }],
+    products: [null, 'FIRE'],
+    chance: 0.1
+});
+
+registerReaction({
+    name: 'oil ignites near fire',
+    reactants: ['OIL', 'FIRE'],
+    products: ['FIRE', null],
+    chance: 0.2
+});
+
+registerReaction({
+    name: 'hydrogen ignites near fire',
+    reactants: ['HYDROGEN', 'FIRE'],
+    products: ['FIRE', null],
+    chance: 0.5
+});
+
+registerReaction({
+    name: 'plant ignites near fire',
+    reactants: ['PLANT', 'FIRE'],
+    products: ['FIRE', null],
+    chance: 0.1
+});
+
+// Heated past its ignition point rather than turned to fire, so that it goes off in a blast
+registerReaction({
+    name: 'gunpowder catches from fire',
+    reactants: ['GUNPOWDER', 'FIRE'],
+    heat: [150, 0],
+    chance: 0.5
+});
+
+registerReaction({
+    name: 'sparks heat what they touch',
+    reactants: ['SPARK', '*'],
+    heat: [0, 60]
+});
+
+registerReaction({
+    name: 'water extinguishes fire',
+    reactants: ['WATER', 'FIRE'],
+    products: [null, 'STEAM'],
+    chance: 0.4
+});
+
+registerReaction({
+    name: 'acid dissolves',
+    reactants: ['ACID', '*'],
+    products: [null, 'EMPTY'],
+    chance: 0.04,
+    resistedBy: 'acidResistance'
+});
+
+registerReaction({
+    name: 'ice chills water',
+    reactants: ['ICE', 'WATER'],
+    heat: [0, -1],
+    chance: 0.02
+});
+
+registerReaction({
+    name: 'ice freezes cold water',
+    reactants: ['ICE', 'WATER'],
+    products: [null, 'ICE'],
+    chance: 0.002,
+    neighborTempBelow: 0
+});
@@ -0,0 +1,347 @@
+/**
+ * Grid renderer
+ * Paints the grid into one ImageData buffer (one pixel per cell) and stretches the part in
+ * view over the whole canvas. Colors come from per-material tables indexed by each particle's
+ * shade, which is picked once at spawn, so grains keep their color as they move. Only the
+ * chunks the grid has marked dirty are repainted.
+ *
+ * Besides the materials' own colors, the grid can be drawn in debug modes that show what
+ * drives the simulation: temperature, the life left of particles that expire, density, and
+ * which chunks were simulated in the last tick.
+ */
+
+import { Random } from './random.js';
+import { POWERED, SWITCHED_ON } from './grid.js';
+
+// Byte order of a Uint32Array view over ImageData, needed to pack RGBA into one write
+const LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+function packColor(r, g, b) {
+    return LITTLE_ENDIAN
+        ? ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0
+        : ((r << 24) | (g << 16) | (b << 8) | 255) >>> 0;
+}
+
+function hexToRgb(hexColor) {
+    return [
+        parseInt(hexColor.slice(1, 3), 16),
+        parseInt(hexColor.slice(3, 5), 16),
+        parseInt(hexColor.slice(5, 7), 16)
+    ];
+}
+
+function clampByte(value) {
+    return Math.min(255, Math.max(0, Math.floor(value)));
+}
+
+export const RENDER_MODES = ['material', 'temperature', 'life', 'density', 'chunks'];
+
+// Heatmap colors at fixed temperatures in celsius, blended in between. Room temperature is
+// dark, so anything hotter or colder stands out.
+export const HEAT_SCALE = [
+    { temp: -50, color: '#a0d8ff' },
+    { temp: 0, color: '#2860d0' },
+    { temp: 20, color: '#101010' },
+    { temp: 100, color: '#b02020' },
+    { temp: 400, color: '#ff8c00' },
+    { temp: 1000, color: '#ffffa0' }
+];
+
+// Life mode: particles with no life left, then ones that have all of it
+const LIFE_COLORS = ['#ff3030', '#30ff60'];
+const AGELESS_COLOR = '#404040'; // particles that never expire
+
+// Heatmap [r, g, b] for a temperature, clamped to the ends of HEAT_SCALE
+export function heatColor(temp) {
+    const last = HEAT_SCALE.length - 1;
+    if (temp <= HEAT_SCALE[0].temp) return hexToRgb(HEAT_SCALE[0].color);
+    if (temp >= HEAT_SCALE[last].temp) return hexToRgb(HEAT_SCALE[last].color);
+    
+    let stop = 1;
+    while (HEAT_SCALE[stop].temp < temp) stop++;
+    const from = HEAT_SCALE[stop - 1];
+    const to = HEAT_SCALE[stop];
+    const t = (temp - from.temp) / (to.temp - from.temp);
+    const a = hexToRgb(from.color);
+    const b = hexToRgb(to.color);
+    return a.map((channel, k) => Math.round(channel + (b[k] - channel) * t));
+}
+
+export class GridRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        // Offscreen canvas holding the unscaled image of the grid
+        this.buffer = document.createElement('canvas');
+        this.bufferCtx = this.buffer.getContext('2d');
+        this.imageData = null;
+        this.pixels = null;
+
+        // Per-shade offsets in [-0.5, 0.5) for the red, green and blue channels. A fixed seed
+        // keeps a scene looking the same from one session to the next.
+        const random = new Random(0x5a4d);
+        this.shadeOffsets = new Float32Array(256 * 3);
+        for (let i = 0; i < this.shadeOffsets.length; i++) {
+            this.shadeOffsets[i] = random.next() - 0.5;
+        }
+
+        // Material id -> [r, g, b] and Uint32Array of 256 packed shades, built on first use
+        this.baseColors = [];
+        this.palettes = [];
+
+        // Packed heatmap color for each whole degree on HEAT_SCALE
+        const minTemp = HEAT_SCALE[0].temp;
+        this.heatColors = new Uint32Array(HEAT_SCALE[HEAT_SCALE.length - 1].temp - minTemp + 1);
+        for (let k = 0; k < this.heatColors.length; k++) {
+            this.heatColors[k] = packColor(...heatColor(minTemp + k));
+        }
+
+        this.paintedMode = null; // mode the pixel buffer was painted in
+    }
+
+    // Color scale of a mode as [{ label, color }] stops, evenly spaced, or null if it has none
+    legend(mode, grid) {
+        switch (mode) {
+            case 'temperature':
+                return HEAT_SCALE.map(({ temp, color }) => ({ label: `${temp}°C`, color }));
+            case 'life':
+                return [{ label: 'expired', color: LIFE_COLORS[0] }, { label: 'full life', color: LIFE_COLORS[1] }];
+            case 'density':
+                return [{ label: '0', color: '#000000' }, { label: String(this.maxDensity(grid)), color: '#ffffff' }];
+            default:
+                return null;
+        }
+    }
+
+    maxDensity(grid) {
+        return Math.max(...grid.properties.filter(Boolean).map(material => material.density));
+    }
+
+    getBaseColor(material) {
+        if (!this.baseColors[material.id]) {
+            this.baseColors[material.id] = hexToRgb(material.color);
+        }
+        return this.baseColors[material.id];
+    }
+
+    getPalette(material) {
+        if (!this.palettes[material.id]) {
+            const [r, g, b] = this.getBaseColor(material);
+            const [satVar, lightVar] = material.colorVariation;
+            const palette = new Uint32Array(256);
+
+            for (let shade = 0; shade < 256; shade++) {
+                palette[shade] = packColor(
+                    clampByte(r + this.shadeOffsets[shade * 3] * satVar),
+                    clampByte(g + this.shadeOffsets[shade * 3 + 1] * satVar),
+                    clampByte(b + this.shadeOffsets[shade * 3 + 2] * lightVar)
+                );
+            }
+            this.palettes[material.id] = palette;
+        }
+        return this.palettes[material.id];
+    }
+
+    resize(width, height) {
+        this.buffer.width = width;
+        this.buffer.height = height;
+        this.imageData = this.bufferCtx.createImageData(width, height);
+        this.pixels = new Uint32Array(this.imageData.data.buffer);
+    }
+
+    // view is the rectangle of cells to show, { x, y, width, height }; the whole grid by default.
+    // mode is one of RENDER_MODES.
+    render(grid, view = { x: 0, y: 0, width: grid.width, height: grid.height }, mode = 'material') {
+        if (!this.imageData || this.imageData.width !== grid.width || this.imageData.height !== grid.height) {
+            this.resize(grid.width, grid.height);
+            grid.dirty.fill(1);
+        }
+        if (mode !== this.paintedMode) {
+            this.paintedMode = mode;
+            grid.dirty.fill(1);
+        }
+
+        // Repaint the dirty chunks, tracking the rectangle around them for the upload
+        const size = grid.chunkSize;
+        let minX = grid.width;
+        let minY = grid.height;
+        let maxX = 0;
+        let maxY = 0;
+
+        for (let chunkY = 0; chunkY < grid.chunksY; chunkY++) {
+            for (let chunkX = 0; chunkX < grid.chunksX; chunkX++) {
+                const chunk = chunkY * grid.chunksX + chunkX;
+                if (grid.dirty[chunk] === 0) continue;
+                grid.dirty[chunk] = 0;
+
+                const startX = chunkX * size;
+                const startY = chunkY * size;
+                const endX = Math.min(grid.width, startX + size);
+                const endY = Math.min(grid.height, startY + size);
+                switch (mode) {
+                    case 'temperature':
+                        this.paintTemperature(grid, startX, startY, endX, endY);
+                        break;
+                    case 'life':
+                        this.paintLife(grid, startX, startY, endX, endY);
+                        break;
+                    case 'density':
+                        this.paintDensity(grid, startX, startY, endX, endY);
+                        break;
+                    default:
+                        this.paintRect(grid, startX, startY, endX, endY);
+                }
+
+                minX = Math.min(minX, startX);
+                minY = Math.min(minY, startY);
+                maxX = Math.max(maxX, endX);
+                maxY = Math.max(maxY, endY);
+            }
+        }
+
+        if (maxX > minX) {
+            this.bufferCtx.putImageData(this.imageData, 0, 0, minX, minY, maxX - minX, maxY - minY);
+        }
+
+        // Scale up without smoothing so each cell stays a crisp square
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(this.buffer, view.x, view.y, view.width, view.height,
+            0, 0, this.canvas.width, this.canvas.height);
+
+        if (mode === 'chunks') {
+            this.paintChunks(grid, view);
+        }
+    }
+
+    // Shade the chunks simulated in the last tick over the picture
+    paintChunks(grid, view) {
+        const scaleX = this.canvas.width / view.width;
+        const scaleY = this.canvas.height / view.height;
+        const size = grid.chunkSize;
+
+        this.ctx.fillStyle = 'rgba(60, 255, 120, 0.15)';
+        this.ctx.strokeStyle = 'rgba(60, 255, 120, 0.6)';
+        this.ctx.lineWidth = 1;
+        for (let chunk = 0; chunk < grid.awake.length; chunk++) {
+            if (grid.awake[chunk] === 0) continue;
+
+            const x = ((chunk % grid.chunksX) * size - view.x) * scaleX;
+            const y = (Math.floor(chunk / grid.chunksX) * size - view.y) * scaleY;
+            this.ctx.fillRect(x, y, size * scaleX, size * scaleY);
+            this.ctx.strokeRect(x + 0.5, y + 0.5, size * scaleX - 1, size * scaleY - 1);
+        }
+    }
+
+    // Heatmap of every cell, air included
+    paintTemperature(grid, startX, startY, endX, endY) {
+        const pixels = this.pixels;
+        const heatColors = this.heatColors;
+        const minTemp = HEAT_SCALE[0].temp;
+        const last = heatColors.length - 1;
+
+        for (let y = startY; y < endY; y++) {
+            for (let i = y * grid.width + startX, end = y * grid.width + endX; i < end; i++) {
+                const k = Math.round(grid.temp[i]) - minTemp;
+                pixels[i] = heatColors[k < 0 ? 0 : k > last ? last : k];
+            }
+        }
+    }
+
+    // Share of their lifespan left for particles that expire; the rest grey
+    paintLife(grid, startX, startY, endX, endY) {
+        const pixels = this.pixels;
+        const empty = packColor(0, 0, 0);
+        const ageless = packColor(...hexToRgb(AGELESS_COLOR));
+        const [r0, g0, b0] = hexToRgb(LIFE_COLORS[0]);
+        const [r1, g1, b1] = hexToRgb(LIFE_COLORS[1]);
+
+        for (let y = startY; y < endY; y++) {
+            for (let i = y * grid.width + startX, end = y * grid.width + endX; i < end; i++) {
+                const value = grid.grid[i];
+                if (value === grid.materials.EMPTY) {
+                    pixels[i] = empty;
+                    continue;
+                }
+
+                const lifespan = grid.properties[value].lifespan;
+                if (lifespan <= 0) {
+                    pixels[i] = ageless;
+                    continue;
+                }
+                const t = Math.min(1, Math.max(0, grid.life[i] / lifespan));
+                pixels[i] = packColor(
+                    clampByte(r0 + (r1 - r0) * t),
+                    clampByte(g0 + (g1 - g0) * t),
+                    clampByte(b0 + (b1 - b0) * t)
+                );
+            }
+        }
+    }
+
+    // Grey levels from empty (black) to the densest material (white)
+    paintDensity(grid, startX, startY, endX, endY) {
+        const pixels = this.pixels;
+        const scale = 255 / this.maxDensity(grid);
+
+        for (let y = startY; y < endY; y++) {
+            for (let i = y * grid.width + startX, end = y * grid.width + endX; i < end; i++) {
+                const level = clampByte(grid.densities[grid.grid[i]] * scale);
+                pixels[i] = packColor(level, level, level);
+            }
+        }
+    }
+
+    // Paint the cells in [startX, endX) x [startY, endY) into the pixel buffer
+    paintRect(grid, startX, startY, endX, endY) {
+        const pixels = this.pixels;
+        const empty = packColor(0, 0, 0);
+
+        for (let y = startY; y < endY; y++) {
+            for (let i = y * grid.width + startX, end = y * grid.width + endX; i < end; i++) {
+                const value = grid.grid[i];
+                if (value === grid.materials.EMPTY) {
+                    pixels[i] = empty;
+                    continue;
+                }
+
+                const material = grid.properties[value];
+                switch (material.colorMode) {
+                    case 'fire': {
+                        // Fire gets more yellow as it ages
+                        const lifeRatio = Math.max(0, grid.life[i] / material.lifespan);
+                        pixels[i] = packColor(
+                            255,
+                            Math.min(255, Math.floor(lifeRatio * 200) + 50),
+                            Math.floor(lifeRatio * 50)
+                        );
+                        break;
+                    }
+                    case 'fade': {
+                        // Gas becomes more transparent as it ages (blended over the black background)
+                        const alpha = Math.max(0, grid.life[i] / material.lifespan) * 0.8;
+                        const [r, g, b] = this.getBaseColor(material);
+                        pixels[i] = packColor(clampByte(r * alpha), clampByte(g * alpha), clampByte(b * alpha));
+                        break;
+                    }
+                    case 'circuit': {
+                        // Circuit parts light up while powered, and switches are dim while off
+                        const life = grid.life[i];
+                        if (life & POWERED) {
+                            const [r, g, b] = this.getBaseColor(material);
+                            pixels[i] = packColor((r + 255) >> 1, (g + 255) >> 1, (b + 255) >> 1);
+                        } else if (material.circuit === 'switch' && (life & SWITCHED_ON) === 0) {
+                            const [r, g, b] = this.getBaseColor(material);
+                            pixels[i] = packColor(r >> 1, g >> 1, b >> 1);
+                        } else {
+                            pixels[i] = this.getPalette(material)[grid.shade[i]];
+                        }
+                        break;
+                    }
+                    default:
+                        pixels[i] = this.getPalette(material)[grid.shade[i]];
+                }
+            }
+        }
+    }
+}
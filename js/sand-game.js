@@ -1,922 +1,82 @@
 /**
  * Enhanced Falling Sand Simulation
- * A physics-based particle simulation with multiple materials and interactions
+ * A physics-based particle simulation with multiple materials and interactions.
+ * This is the browser front end: canvas, controls and input. The simulation itself is the
+ * DOM-free engine in engine.js, run on this thread or in a worker (see simulation.js).
  */
 
-class Grid {
-    constructor(width, height, parent) {
-        this.width = width;
-        this.height = height;
-        this.grid = new Array(width * height).fill(0);
-        this.parent = parent;
-        
-        // Material types
-        this.materials = {
-            EMPTY: 0,
-            SAND: 1,
-            WATER: 2,
-            WALL: 3,
-            FIRE: 4,
-            OIL: 5,
-            PLANT: 6,
-            ACID: 7,
-            ICE: 8,
-            STEAM: 9
-        };
-        
-        // Material properties
-        this.properties = {
-            [this.materials.EMPTY]: { density: 0, flammable: false, lifespan: 0 },
-            [this.materials.SAND]: { density: 3, flammable: false, lifespan: 0 },
-            [this.materials.WATER]: { density: 2, flammable: false, lifespan: 0 },
-            [this.materials.WALL]: { density: 10, flammable: false, lifespan: 0 },
-            [this.materials.FIRE]: { density: 0.5, flammable: false, lifespan: 100 },
-            [this.materials.OIL]: { density: 1.5, flammable: true, lifespan: 0 },
-            [this.materials.PLANT]: { density: 1, flammable: true, lifespan: 0, growthRate: 0.01 },
-            [this.materials.ACID]: { density: 2.2, flammable: false, lifespan: 500, dissolveRate: 0.2 },
-            [this.materials.ICE]: { density: 1.8, flammable: false, lifespan: 0, meltRate: 0.01 },
-            [this.materials.STEAM]: { density: 0.3, flammable: false, lifespan: 200 }
-        };
-        
-        // Particle metadata (for lifespan, temperature, etc.)
-        this.metadata = new Array(width * height).fill(null).map(() => ({
-            life: 0,
-            temp: 20 // room temperature in celsius
-        }));
-    }
-
-    clear() {
-        this.grid = new Array(this.width * this.height).fill(0);
-        this.metadata = new Array(this.width * this.height).fill(null).map(() => ({
-            life: 0,
-            temp: 20
-        }));
-    }
-
-    set(x, y, value) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-            const index = y * this.width + x;
-            this.grid[index] = value;
-            
-            // Initialize metadata based on material type
-            if (value === this.materials.FIRE) {
-                this.metadata[index].temp = 400; // fire is hot
-                this.metadata[index].life = this.properties[value].lifespan;
-            } else if (value === this.materials.ACID) {
-                this.metadata[index].life = this.properties[value].lifespan;
-            } else if (value === this.materials.STEAM) {
-                this.metadata[index].temp = 110; // steam is hot
-                this.metadata[index].life = this.properties[value].lifespan;
-            }
-        }
-    }
-
-    get(x, y) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-            return this.grid[y * this.width + x];
-        }
-        return -1; // Out of bounds
-    }
-
-    // Get metadata for a specific position
-    getMeta(x, y) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-            return this.metadata[y * this.width + x];
-        }
-        return null; // Out of bounds
-    }
-
-    swap(i1, i2) {
-        if (i1 >= 0 && i1 < this.grid.length && i2 >= 0 && i2 < this.grid.length) {
-            // Swap grid values
-            const temp = this.grid[i1];
-            this.grid[i1] = this.grid[i2];
-            this.grid[i2] = temp;
-            
-            // Swap metadata too
-            const tempMeta = this.metadata[i1];
-            this.metadata[i1] = this.metadata[i2];
-            this.metadata[i2] = tempMeta;
-        }
-    }
-
-    isEmpty(index) {
-        if (index < 0 || index >= this.grid.length) return false;
-        return this.grid[index] === this.materials.EMPTY;
-    }
-
-    isType(index, type) {
-        if (index < 0 || index >= this.grid.length) return false;
-        return this.grid[index] === type;
-    }
-
-    inBounds(x, y) {
-        return x >= 0 && x < this.width && y >= 0 && y < this.height;
-    }
+import { MATERIALS, MATERIAL_IDS, emitterLife } from './engine.js';
+import { LocalSimulation, WorkerSimulation } from './simulation.js';
+import { FixedTimestep } from './timestep.js';
+import { Camera } from './camera.js';
+import { GridRenderer, RENDER_MODES } from './renderer.js';
 
-    canDisplace(i1, i2) {
-        if (!this.inBounds(i1 % this.width, Math.floor(i1 / this.width)) || 
-            !this.inBounds(i2 % this.width, Math.floor(i2 / this.width))) {
-            return false;
-        }
-        
-        // Empty space can always be replaced
-        if (this.grid[i2] === this.materials.EMPTY) return true;
-        
-        // Wall can't be displaced
-        if (this.grid[i2] === this.materials.WALL) return false;
-        
-        // Higher density materials sink in lower density ones
-        const density1 = this.properties[this.grid[i1]].density;
-        const density2 = this.properties[this.grid[i2]].density;
-        return density1 > density2;
-    }
+// Simulation ticks per second at speed 1; the speed slider multiplies it
+const BASE_TICKS_PER_SECOND = 60;
 
-    // Advanced method to set shapes
-    setCircle(x, y, material, radius, probability = 1) {
-        for (let j = -radius; j <= radius; j++) {
-            for (let i = -radius; i <= radius; i++) {
-                if (i * i + j * j <= radius * radius && Math.random() < probability) {
-                    const newX = x + i;
-                    const newY = y + j;
-                    if (this.inBounds(newX, newY) && this.get(newX, newY) === this.materials.EMPTY) {
-                        this.set(newX, newY, material);
-                    }
-                }
-            }
-        }
-    }
+// World sizes offered in the world menu, in pixels at particle size 1. Scene files from before
+// the world could be resized were all the medium size.
+const WORLD_SIZES = {
+    small: [400, 225],
+    medium: [800, 450],
+    large: [1280, 720],
+    wide: [1200, 400],
+    tall: [450, 800]
+};
+const MIN_WORLD_SIZE = 50;
+const MAX_WORLD_SIZE = 2000;
 
-    drawLine(x1, y1, x2, y2, material, thickness = 1) {
-        // Bresenham's line algorithm
-        const dx = Math.abs(x2 - x1);
-        const dy = Math.abs(y2 - y1);
-        const sx = x1 < x2 ? 1 : -1;
-        const sy = y1 < y2 ? 1 : -1;
-        let err = dx - dy;
-        
-        while (true) {
-            // Draw a circle at each point for thickness
-            this.setCircle(x1, y1, material, thickness);
-            
-            if (x1 === x2 && y1 === y2) break;
-            const e2 = 2 * err;
-            if (e2 > -dy) {
-                err -= dy;
-                x1 += sx;
-            }
-            if (e2 < dx) {
-                err += dx;
-                y1 += sy;
-            }
-        }
-    }
+// Sides of the world, each with its own edge mode menu
+const EDGE_SIDES = ['top', 'bottom', 'left', 'right'];
 
-    drawRect(x1, y1, x2, y2, material, filled = false) {
-        // Sort coordinates
-        const startX = Math.min(x1, x2);
-        const endX = Math.max(x1, x2);
-        const startY = Math.min(y1, y2);
-        const endY = Math.max(y1, y2);
-        
-        if (filled) {
-            // Fill the rectangle
-            for (let y = startY; y <= endY; y++) {
-                for (let x = startX; x <= endX; x++) {
-                    if (this.inBounds(x, y) && this.get(x, y) === this.materials.EMPTY) {
-                        this.set(x, y, material);
-                    }
-                }
-            }
-        } else {
-            // Draw only the border
-            for (let x = startX; x <= endX; x++) {
-                if (this.inBounds(x, startY)) this.set(x, startY, material);
-                if (this.inBounds(x, endY)) this.set(x, endY, material);
-            }
-            for (let y = startY + 1; y < endY; y++) {
-                if (this.inBounds(startX, y)) this.set(startX, y, material);
-                if (this.inBounds(endX, y)) this.set(endX, y, material);
-            }
-        }
-    }
+// Zoom factor per pixel of mouse wheel scrolling (a wheel notch is about 100 pixels)
+const WHEEL_ZOOM_RATE = 0.002;
 
-    update() {
-        // Process different materials with different passes
-        
-        // First pass: Bottom to top for falling materials (sand, water, etc)
-        for (let y = this.height - 1; y >= 0; y--) {
-            // Alternate direction each row for more natural movement
-            const rowDirection = y % 2 === 0 ? 1 : -1;
-            
-            for (let x0 = 0; x0 < this.width; x0++) {
-                const x = rowDirection === 1 ? x0 : this.width - 1 - x0;
-                const i = y * this.width + x;
-                const material = this.grid[i];
-                
-                switch (material) {
-                    case this.materials.SAND:
-                        this.updateSand(i, x, y);
-                        break;
-                    case this.materials.WATER:
-                        this.updateWater(i, x, y);
-                        break;
-                    case this.materials.OIL:
-                        this.updateOil(i, x, y);
-                        break;
-                    case this.materials.ACID:
-                        this.updateAcid(i, x, y);
-                        break;
-                    case this.materials.ICE:
-                        this.updateIce(i, x, y);
-                        break;
-                }
-            }
-        }
-        
-        // Second pass: Top to bottom for rising materials (fire, steam, etc)
-        for (let y = 0; y < this.height; y++) {
-            const rowDirection = y % 2 === 0 ? 1 : -1;
-            
-            for (let x0 = 0; x0 < this.width; x0++) {
-                const x = rowDirection === 1 ? x0 : this.width - 1 - x0;
-                const i = y * this.width + x;
-                const material = this.grid[i];
-                
-                switch (material) {
-                    case this.materials.FIRE:
-                        this.updateFire(i, x, y);
-                        break;
-                    case this.materials.STEAM:
-                        this.updateSteam(i, x, y);
-                        break;
-                    case this.materials.PLANT:
-                        this.updatePlant(i, x, y);
-                        break;
-                }
-            }
-        }
-        
-        // Third pass: Temperature transfer and other effects
-        for (let i = 0; i < this.grid.length; i++) {
-            this.updateTemperature(i);
-        }
-    }
-
-    updateSand(i, x, y) {
-        // Get the current gravity strength from the game
-        const gravity = this.parent.gravityStrength;
-        
-        // Apply gravity potentially multiple times per frame
-        for (let g = 0; g < gravity; g++) {
-            // Calculate the current position after previous gravity steps
-            const currentY = y + g;
-            const currentI = i + (g * this.width);
-            
-            // Don't update if we've reached the bottom
-            if (currentY >= this.height - 1) return;
-            
-            const below = currentI + this.width;
-            const belowLeft = below - 1;
-            const belowRight = below + 1;
-            
-            // Standard sand behavior for this step
-            let moved = false;
-            if (this.canDisplace(currentI, below)) {
-                this.swap(currentI, below);
-                moved = true;
-            } 
-            else if (x > 0 && this.canDisplace(currentI, belowLeft)) {
-                this.swap(currentI, belowLeft);
-                moved = true;
-            }
-            else if (x < this.width - 1 && this.canDisplace(currentI, belowRight)) {
-                this.swap(currentI, belowRight);
-                moved = true;
-            }
-            
-            // If particle couldn't move, stop applying gravity
-            if (!moved) break;
-        }
-    }
-
-    updateWater(i, x, y) {
-        // Get the current gravity strength
-        const gravity = this.parent.gravityStrength;
-        
-        // Apply gravity 
-        for (let g = 0; g < gravity; g++) {
-            const currentY = y + g;
-            const currentI = i + (g * this.width);
-            const currentX = x; // X doesn't change with gravity alone
-            
-            if (currentY >= this.height - 1) return;
-            
-            const below = currentI + this.width;
-            const left = currentI - 1;
-            const right = currentI + 1;
-            const belowLeft = below - 1;
-            const belowRight = below + 1;
-            
-            let moved = false;
-            
-            // Try to move directly below
-            if (this.canDisplace(currentI, below)) {
-                this.swap(currentI, below);
-                moved = true;
-            }
-            // Try to move diagonally
-            else if (currentX > 0 && this.canDisplace(currentI, belowLeft)) {
-                this.swap(currentI, belowLeft);
-                moved = true;
-            }
-            else if (currentX < this.width - 1 && this.canDisplace(currentI, belowRight)) {
-                this.swap(currentI, belowRight);
-                moved = true;
-            }
-            // Try to move horizontally (if not moved vertically)
-            else if (Math.random() < 0.5) {
-                // Try left first
-                if (currentX > 0 && this.canDisplace(currentI, left)) {
-                    this.swap(currentI, left);
-                    moved = true;
-                }
-                // Try right if left failed
-                else if (currentX < this.width - 1 && this.canDisplace(currentI, right)) {
-                    this.swap(currentI, right);
-                    moved = true;
-                }
-            } else {
-                // Try right first
-                if (currentX < this.width - 1 && this.canDisplace(currentI, right)) {
-                    this.swap(currentI, right);
-                    moved = true;
-                }
-                // Try left if right failed
-                else if (currentX > 0 && this.canDisplace(currentI, left)) {
-                    this.swap(currentI, left);
-                    moved = true;
-                }
-            }
-            
-            // Water has chance to evaporate if hot
-            if (this.metadata[currentI].temp > 99) {
-                if (Math.random() < 0.1) {
-                    this.grid[currentI] = this.materials.STEAM;
-                    this.metadata[currentI].life = this.properties[this.materials.STEAM].lifespan;
-                    this.metadata[currentI].temp = 110;
-                }
-            }
-            
-            // Water freezes if cold
-            if (this.metadata[currentI].temp < 0) {
-                if (Math.random() < 0.05) {
-                    this.grid[currentI] = this.materials.ICE;
-                }
-            }
-            
-            // Water can extinguish fire
-            this.extinguishNearbySources(currentI, currentX, currentY);
-            
-            // If particle couldn't move, stop applying gravity
-            if (!moved) break;
-        }
-    }
-    
-    updateOil(i, x, y) {
-        // Oil behaves like water but with different density
-        // Similar to water but slower and more viscous
-        const gravity = Math.max(1, this.parent.gravityStrength - 1);
-        
-        for (let g = 0; g < gravity; g++) {
-            const currentY = y + g;
-            const currentI = i + (g * this.width);
-            const currentX = x;
-            
-            if (currentY >= this.height - 1) return;
-            
-            const below = currentI + this.width;
-            const left = currentI - 1;
-            const right = currentI + 1;
-            const belowLeft = below - 1;
-            const belowRight = below + 1;
-            
-            let moved = false;
-            
-            // Movement logic similar to water
-            if (this.canDisplace(currentI, below)) {
-                this.swap(currentI, below);
-                moved = true;
-            }
-            else if (Math.random() < 0.3 && currentX > 0 && this.canDisplace(currentI, belowLeft)) {
-                this.swap(currentI, belowLeft);
-                moved = true;
-            }
-            else if (Math.random() < 0.3 && currentX < this.width - 1 && this.canDisplace(currentI, belowRight)) {
-                this.swap(currentI, belowRight);
-                moved = true;
-            }
-            else if (Math.random() < 0.3) {
-                if (Math.random() < 0.5 && currentX > 0 && this.canDisplace(currentI, left)) {
-                    this.swap(currentI, left);
-                    moved = true;
-                }
-                else if (currentX < this.width - 1 && this.canDisplace(currentI, right)) {
-                    this.swap(currentI, right);
-                    moved = true;
-                }
-            }
-            
-            // Oil has chance to ignite if hot or near fire
-            if (this.metadata[currentI].temp > 220 || this.isNearMaterial(currentX, currentY, this.materials.FIRE)) {
-                if (Math.random() < 0.2) {
-                    this.grid[currentI] = this.materials.FIRE;
-                    this.metadata[currentI].life = this.properties[this.materials.FIRE].lifespan;
-                    this.metadata[currentI].temp = 400;
-                }
-            }
-            
-            if (!moved) break;
-        }
-    }
-    
-    updateFire(i, x, y) {
-        // Fire rises up and has limited lifespan
-        const meta = this.metadata[i];
-        meta.life--;
-        
-        // Fire disappears when its life is over
-        if (meta.life <= 0) {
-            this.grid[i] = this.materials.EMPTY;
-            meta.temp = 20;
-            return;
-        }
-        
-        // Fire tries to rise
-        const above = i - this.width;
-        const aboveLeft = above - 1;
-        const aboveRight = above + 1;
-        
-        // Try to move upward
-        let moved = false;
-        if (y > 0 && this.isEmpty(above)) {
-            this.swap(i, above);
-            moved = true;
-        }
-        else if (y > 0 && x > 0 && this.isEmpty(aboveLeft)) {
-            this.swap(i, aboveLeft);
-            moved = true;
-        }
-        else if (y > 0 && x < this.width - 1 && this.isEmpty(aboveRight)) {
-            this.swap(i, aboveRight);
-            moved = true;
-        }
-        
-        // Fire heats nearby materials and can ignite flammable ones
-        this.heatAndIgniteNearbySources(i, x, y);
-        
-        // Create some smoke/steam occasionally
-        if (Math.random() < 0.05 && y > 0 && this.isEmpty(above)) {
-            this.grid[above] = this.materials.STEAM;
-            this.metadata[above].life = this.properties[this.materials.STEAM].lifespan;
-        }
-        
-        // Fire flickers and varies in intensity - adjust temperature
-        meta.temp = 350 + Math.floor(Math.random() * 100);
-    }
-    
-    updateSteam(i, x, y) {
-        // Steam rises and has limited lifespan
-        const meta = this.metadata[i];
-        meta.life--;
-        
-        // Steam disappears when its life is over or condenses back to water if cool
-        if (meta.life <= 0 || meta.temp < 90) {
-            if (meta.temp < 90 && Math.random() < 0.2) {
-                this.grid[i] = this.materials.WATER;
-            } else {
-                this.grid[i] = this.materials.EMPTY;
-            }
-            meta.temp = 20;
-            return;
-        }
-        
-        // Steam rises
-        const above = i - this.width;
-        const left = i - 1;
-        const right = i + 1;
-        const aboveLeft = above - 1;
-        const aboveRight = above + 1;
-        
-        let moved = false;
-        // Try to move upward
-        if (y > 0 && this.isEmpty(above)) {
-            this.swap(i, above);
-            moved = true;
-        }
-        else if (y > 0 && x > 0 && this.isEmpty(aboveLeft)) {
-            this.swap(i, aboveLeft);
-            moved = true;
-        }
-        else if (y > 0 && x < this.width - 1 && this.isEmpty(aboveRight)) {
-            this.swap(i, aboveRight);
-            moved = true;
-        }
-        // Try moving sideways if can't move up
-        else if (!moved) {
-            if (Math.random() < 0.5 && x > 0 && this.isEmpty(left)) {
-                this.swap(i, left);
-                moved = true;
-            }
-            else if (x < this.width - 1 && this.isEmpty(right)) {
-                this.swap(i, right);
-                moved = true;
-            }
-        }
-        
-        // Steam gradually cools
-        meta.temp -= 0.2;
-    }
-    
-    updateAcid(i, x, y) {
-        // Acid behaves like water but dissolves materials
-        const gravity = this.parent.gravityStrength;
-        const meta = this.metadata[i];
-        meta.life--;
-        
-        // Acid disappears over time
-        if (meta.life <= 0) {
-            this.grid[i] = this.materials.EMPTY;
-            return;
-        }
-        
-        // Dissolve nearby materials
-        this.dissolveNearbySources(i, x, y);
-        
-        // Update movement like water
-        for (let g = 0; g < gravity; g++) {
-            const currentY = y + g;
-            const currentI = i + (g * this.width);
-            const currentX = x;
-            
-            if (currentY >= this.height - 1) return;
-            
-            const below = currentI + this.width;
-            const left = currentI - 1;
-            const right = currentI + 1;
-            const belowLeft = below - 1;
-            const belowRight = below + 1;
-            
-            let moved = false;
-            
-            if (this.canDisplace(currentI, below)) {
-                this.swap(currentI, below);
-                moved = true;
-            }
-            else if (currentX > 0 && this.canDisplace(currentI, belowLeft)) {
-                this.swap(currentI, belowLeft);
-                moved = true;
-            }
-            else if (currentX < this.width - 1 && this.canDisplace(currentI, belowRight)) {
-                this.swap(currentI, belowRight);
-                moved = true;
-            }
-            else if (Math.random() < 0.7) {
-                if (Math.random() < 0.5 && currentX > 0 && this.canDisplace(currentI, left)) {
-                    this.swap(currentI, left);
-                    moved = true;
-                }
-                else if (currentX < this.width - 1 && this.canDisplace(currentI, right)) {
-                    this.swap(currentI, right);
-                    moved = true;
-                }
-            }
-            
-            if (!moved) break;
-        }
-    }
-    
-    updateIce(i, x, y) {
-        // Ice is static but can melt
-        const meta = this.metadata[i];
-        
-        // Ice melts if temperature is above 0
-        if (meta.temp > 0) {
-            // Chance to melt increases with temperature
-            const meltChance = this.properties[this.materials.ICE].meltRate * meta.temp;
-            if (Math.random() < meltChance) {
-                this.grid[i] = this.materials.WATER;
-                meta.temp = 2; // Cold water
-            }
-        }
-        
-        // Ice has a small chance to freeze nearby water
-        if (Math.random() < 0.02) {
-            this.freezeNearbySources(i, x, y);
-        }
-    }
-    
-    updatePlant(i, x, y) {
-        // Plants are static but can grow, burn, or be eaten by acid
-        
-        // Plants can grow if next to water
-        if (this.isNearMaterial(x, y, this.materials.WATER) && Math.random() < this.properties[this.materials.PLANT].growthRate) {
-            this.growPlant(x, y);
-        }
-        
-        // Plants can catch fire if hot or near fire
-        if (this.metadata[i].temp > 150 || this.isNearMaterial(x, y, this.materials.FIRE)) {
-            if (Math.random() < 0.1) {
-                this.grid[i] = this.materials.FIRE;
-                this.metadata[i].life = this.properties[this.materials.FIRE].lifespan;
-                this.metadata[i].temp = 400;
-            }
-        }
-    }
-    
-    updateTemperature(i) {
-        if (i < 0 || i >= this.grid.length || this.grid[i] === this.materials.EMPTY) return;
-        
-        const x = i % this.width;
-        const y = Math.floor(i / this.width);
-        const meta = this.metadata[i];
-        
-        // Heat transfer to adjacent cells
-        const neighbors = this.getNeighborIndices(x, y);
-        for (const neighborIdx of neighbors) {
-            if (neighborIdx >= 0 && neighborIdx < this.grid.length && this.grid[neighborIdx] !== this.materials.EMPTY) {
-                const neighborTemp = this.metadata[neighborIdx].temp;
-                // Heat flows from hot to cold
-                if (meta.temp !== neighborTemp) {
-                    const transferAmount = (meta.temp - neighborTemp) * 0.1;
-                    this.metadata[i].temp -= transferAmount * 0.5;
-                    this.metadata[neighborIdx].temp += transferAmount * 0.5;
-                }
-            }
-        }
-        
-        // Temperature tends toward ambient (20°C) very slowly
-        if (meta.temp !== 20) {
-            meta.temp += (20 - meta.temp) * 0.001;
-        }
-    }
-    
-    // Helper methods for material interactions
-    
-    isNearMaterial(x, y, materialType) {
-        const neighbors = this.getNeighborIndices(x, y);
-        for (const neighborIdx of neighbors) {
-            if (neighborIdx >= 0 && neighborIdx < this.grid.length && this.grid[neighborIdx] === materialType) {
-                return true;
-            }
-        }
-        return false;
-    }
-    
-    getNeighborIndices(x, y) {
-        const neighbors = [];
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                
-                const nx = x + dx;
-                const ny = y + dy;
-                
-                if (this.inBounds(nx, ny)) {
-                    neighbors.push(ny * this.width + nx);
-                }
-            }
-        }
-        return neighbors;
-    }
-    
-    heatAndIgniteNearbySources(i, x, y) {
-        const neighbors = this.getNeighborIndices(x, y);
-        
-        for (const neighborIdx of neighbors) {
-            if (neighborIdx >= 0 && neighborIdx < this.grid.length && this.grid[neighborIdx] !== this.materials.EMPTY) {
-                // Heat up nearby materials
-                this.metadata[neighborIdx].temp += 5;
-                
-                // Chance to ignite flammable materials
-                const material = this.grid[neighborIdx];
-                if (this.properties[material].flammable) {
-                    if (Math.random() < 0.1) {
-                        this.grid[neighborIdx] = this.materials.FIRE;
-                        this.metadata[neighborIdx].life = this.properties[this.materials.FIRE].lifespan;
-                        this.metadata[neighborIdx].temp = 400;
-                    }
-                }
-            }
-        }
-    }
-    
-    extinguishNearbySources(i, x, y) {
-        const neighbors = this.getNeighborIndices(x, y);
-        
-        for (const neighborIdx of neighbors) {
-            if (neighborIdx >= 0 && neighborIdx < this.grid.length && this.grid[neighborIdx] === this.materials.FIRE) {
-                // Water has a chance to extinguish fire
-                if (Math.random() < 0.4) {
-                    this.grid[neighborIdx] = this.materials.STEAM;
-                    this.metadata[neighborIdx].life = this.properties[this.materials.STEAM].lifespan;
-                    this.metadata[neighborIdx].temp = 110;
-                }
-            }
-        }
-    }
-    
-    dissolveNearbySources(i, x, y) {
-        const neighbors = this.getNeighborIndices(x, y);
-        
-        for (const neighborIdx of neighbors) {
-            if (neighborIdx >= 0 && neighborIdx < this.grid.length) {
-                const material = this.grid[neighborIdx];
-                
-                // Acid dissolves most materials except itself
-                if (material !== this.materials.EMPTY && 
-                    material !== this.materials.ACID && 
-                    material !== this.materials.STEAM) {
-                    
-                    if (Math.random() < this.properties[this.materials.ACID].dissolveRate) {
-                        // Different materials have different resistance to acid
-                        let resistFactor = 1.0;
-                        
-                        if (material === this.materials.WALL) resistFactor = 0.1;
-                        else if (material === this.materials.SAND) resistFactor = 0.5;
-                        
-                        if (Math.random() < this.properties[this.materials.ACID].dissolveRate * resistFactor) {
-                            this.grid[neighborIdx] = this.materials.EMPTY;
-                        }
-                    }
-                }
-            }
-        }
-    }
-    
-    freezeNearbySources(i, x, y) {
-        const neighbors = this.getNeighborIndices(x, y);
-        
-        for (const neighborIdx of neighbors) {
-            if (neighborIdx >= 0 && neighborIdx < this.grid.length && this.grid[neighborIdx] === this.materials.WATER) {
-                // Ice can freeze nearby water
-                this.metadata[neighborIdx].temp -= 1;
-                
-                if (this.metadata[neighborIdx].temp < 0 && Math.random() < 0.1) {
-                    this.grid[neighborIdx] = this.materials.ICE;
-                }
-            }
-        }
-    }
-    
-    growPlant(x, y) {
-        // Try to grow plant in empty neighboring cells
-        const neighbors = [];
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                
-                const nx = x + dx;
-                const ny = y + dy;
-                
-                if (this.inBounds(nx, ny) && this.get(nx, ny) === this.materials.EMPTY) {
-                    neighbors.push({x: nx, y: ny});
-                }
-            }
-        }
-        
-        // Randomly select one empty neighbor to grow into
-        if (neighbors.length > 0) {
-            const target = neighbors[Math.floor(Math.random() * neighbors.length)];
-            this.set(target.x, target.y, this.materials.PLANT);
-        }
-    }
-
-    // Shape tools and presets
-    
-    createPreset(preset, x, y) {
-        const material = this.materials.WALL;
-        
-        switch (preset) {
-            case 'barrier':
-                this.drawRect(x - 20, y - 3, x + 20, y + 3, material, true);
-                break;
-                
-            case 'funnel':
-                this.drawLine(x - 15, y - 15, x, y + 5, material, 1);
-                this.drawLine(x + 15, y - 15, x, y + 5, material, 1);
-                break;
-                
-            case 'container':
-                this.drawRect(x - 20, y - 20, x + 20, y + 20, material, false);
-                // Add a small opening at the top
-                this.drawLine(x - 5, y - 20, x + 5, y - 20, this.materials.EMPTY, 1);
-                break;
-                
-            case 'hourglass':
-                // Top container
-                this.drawRect(x - 15, y - 25, x + 15, y - 10, material, false);
-                // Bottom container
-                this.drawRect(x - 15, y + 10, x + 15, y + 25, material, false);
-                // Funnel connecting them
-                this.drawLine(x - 10, y - 10, x, y, material, 1);
-                this.drawLine(x + 10, y - 10, x, y, material, 1);
-                this.drawLine(x - 10, y + 10, x, y, material, 1);
-                this.drawLine(x + 10, y + 10, x, y, material, 1);
-                // Add some sand in the top half
-                for (let cy = y - 24; cy < y - 12; cy++) {
-                    for (let cx = x - 14; cx < x + 14; cx++) {
-                        if (this.inBounds(cx, cy) && Math.random() < 0.7) {
-                            this.set(cx, cy, this.materials.SAND);
-                        }
-                    }
-                }
-                break;
-                
-            case 'maze':
-                // Create a simple maze pattern
-                const size = 40;
-                const halfSize = size / 2;
-                
-                // Outer walls
-                this.drawRect(x - halfSize, y - halfSize, x + halfSize, y + halfSize, material, false);
-                
-                // Horizontal dividers
-                for (let i = 1; i < 3; i++) {
-                    const yPos = y - halfSize + (size / 3) * i;
-                    const gap = 10;
-                    const gapPos = x - halfSize + gap + Math.floor(Math.random() * (size - 2 * gap));
-                    
-                    // Draw line with a gap
-                    this.drawLine(x - halfSize, yPos, gapPos, yPos, material, 1);
-                    this.drawLine(gapPos + 10, yPos, x + halfSize, yPos, material, 1);
-                }
-                
-                // Vertical dividers
-                for (let i = 1; i < 3; i++) {
-                    const xPos = x - halfSize + (size / 3) * i;
-                    const gap = 10;
-                    const gapPos = y - halfSize + gap + Math.floor(Math.random() * (size - 2 * gap));
-                    
-                    // Draw line with a gap
-                    this.drawLine(xPos, y - halfSize, xPos, gapPos, material, 1);
-                    this.drawLine(xPos, gapPos + 10, xPos, y + halfSize, material, 1);
-                }
-                break;
-        }
-    }
+// Whether an element takes typed text (unlike sliders, checkboxes and buttons), so the keys
+// pressed in it belong to it
+function isTextEntry(element) {
+    if (!element || !element.tagName) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+    return element.tagName === 'INPUT' && ['text', 'number'].includes(element.type);
 }
 
-class SandGame {
+export class SandGame {
     constructor() {
         this.container = document.getElementById('game-container');
         this.canvas = document.createElement('canvas');
         this.ctx = this.canvas.getContext('2d');
         
         // Game settings
-        this.canvasWidth = 800;
-        this.canvasHeight = 450;
+        [this.worldWidth, this.worldHeight] = WORLD_SIZES.medium; // the grid is this / pixelSize
         this.pixelSize = 2; // Size of each "particle"
         this.isMouseDown = false;
         this.isRightMouseDown = false;
+        this.panStart = null; // last mouse position of a middle-button drag
         this.lastMouseX = -1;
         this.lastMouseY = -1;
-        this.activeMaterial = 1; // Default to sand
+        this.activeMaterial = MATERIAL_IDS.SAND; // Default to sand
         this.gravityStrength = 1; // Default gravity strength
+        this.ambientTemp = 20; // Temperature the air drifts toward, in celsius
         this.brushSize = 3; // Default brush size
         this.simSpeed = 1; // Default simulation speed
+        this.faucetMaterial = MATERIAL_IDS.WATER; // What newly drawn faucets emit
+        this.faucetRate = 50; // and their chance of emitting each tick, in percent
         this.isPaused = false;
+        this.pendingSteps = 0; // single steps requested while paused
+        this.timestep = new FixedTimestep({ ticksPerSecond: BASE_TICKS_PER_SECOND * this.simSpeed });
         
         // Drawing tools
         this.currentTool = 'brush'; // brush, line, rect, circle
         this.drawingStart = null; // For shapes that need start/end points
         
-        // Material colors - in a more sophisticated palette
-        this.colors = {
-            0: '#000000', // Empty (black)
-            1: '#e6c88c', // Sand (tan)
-            2: '#4b8ffc', // Water (blue)
-            3: '#888888', // Wall (gray)
-            4: '#ff4a00', // Fire (orange-red)
-            5: '#6b5918', // Oil (dark amber)
-            6: '#3a9e37', // Plant (green)
-            7: '#97fc5c', // Acid (bright green)
-            8: '#b0f5fc', // Ice (light blue)
-            9: '#d0d0d0'  // Steam (light gray)
-        };
+        // Part of the world in view (wheel to zoom, middle-drag to pan)
+        this.camera = new Camera();
         
-        this.materialNames = {
-            'sand': 1,
-            'water': 2,
-            'wall': 3,
-            'fire': 4,
-            'oil': 5,
-            'plant': 6,
-            'acid': 7,
-            'ice': 8,
-            'steam': 9,
-            'eraser': 0
-        };
+        // How the grid is drawn (see RENDER_MODES), and the cell under the cursor for the
+        // tooltip the debug views show
+        this.viewMode = 'material';
+        this.hoverCell = null;
+        this.hoverPosition = null; // cursor position in the container, in CSS pixels
         
         this.setup();
         this.setupEventListeners();
@@ -924,28 +84,105 @@ class SandGame {
     }
     
     setup() {
-        // Setup canvas with explicit styles
-        this.canvas.width = this.canvasWidth;
-        this.canvas.height = this.canvasHeight;
-        this.canvas.style.display = 'block';
-        this.canvas.style.width = '100%';
-        this.canvas.style.height = '100%';
-        
         // Clear any existing content and append canvas
         this.container.innerHTML = '';
         this.container.appendChild(this.canvas);
-        
-        // Setup grid - use actual pixels for simulation
-        this.grid = new Grid(
-            Math.floor(this.canvasWidth / this.pixelSize),
-            Math.floor(this.canvasHeight / this.pixelSize),
-            this // Pass reference to parent for access to settings
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'cell-tooltip';
+        this.tooltip.hidden = true;
+        this.container.appendChild(this.tooltip);
+        
+        this.renderer = new GridRenderer(this.canvas);
+        this.buildMaterialPalette();
+        
+        // Setup simulation - one cell per particle
+        this.simulation = new LocalSimulation(
+            Math.floor(this.worldWidth / this.pixelSize),
+            Math.floor(this.worldHeight / this.pixelSize),
+            { gravity: this.gravityStrength }
         );
+        this.showSeed();
+        this.showWorldSize();
+        
+        // Canvas size follows the container and the grid (see layoutCanvas)
+        this.layoutWidth = 0;
+        this.layoutHeight = 0;
+        this.layoutCanvas();
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.layoutCanvas()).observe(this.container);
+        }
+        // Also catches devicePixelRatio changes from browser zoom
+        window.addEventListener('resize', () => this.layoutCanvas());
+    }
+    
+    // Fit the canvas inside the container at the grid's aspect ratio. The backing store gets
+    // one pixel per device pixel, so the picture stays sharp on high-DPI screens.
+    layoutCanvas() {
+        const grid = this.simulation.grid;
+        this.layoutWidth = grid.width;
+        this.layoutHeight = grid.height;
+        this.container.style.aspectRatio = `${grid.width} / ${grid.height}`;
+        
+        const scale = Math.min(this.container.clientWidth / grid.width, this.container.clientHeight / grid.height);
+        const cssWidth = Math.max(1, Math.floor(grid.width * scale));
+        const cssHeight = Math.max(1, Math.floor(grid.height * scale));
+        const ratio = window.devicePixelRatio || 1;
+        
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        this.canvas.width = Math.round(cssWidth * ratio);
+        this.canvas.height = Math.round(cssHeight * ratio);
+        grid.dirty.fill(1);
+    }
+    
+    buildMaterialPalette() {
+        // One button per registered material, in id order, with the eraser last.
+        // Number keys 1-9 select the first nine buttons.
+        const palette = document.getElementById('material-palette');
+        palette.innerHTML = '';
+        
+        this.paletteMaterials = MATERIALS.filter(material => material && material.palette);
+        this.paletteMaterials.push(MATERIALS[MATERIAL_IDS.EMPTY]);
+        
+        this.paletteMaterials.forEach((material, index) => {
+            const button = document.createElement('button');
+            button.className = 'material-button';
+            button.dataset.material = material.id === MATERIAL_IDS.EMPTY ? 'eraser' : material.name.toLowerCase();
+            button.style.setProperty('--swatch-color', material.color);
+            button.textContent = material.label;
+            if (index < 9) {
+                button.title = `${material.label} (${index + 1})`;
+            }
+            if (material.id === this.activeMaterial) {
+                button.classList.add('active');
+            }
+            palette.appendChild(button);
+        });
+        
+        // Faucets can emit anything on the palette except other emitters
+        const faucetSelect = document.getElementById('faucet-material');
+        faucetSelect.innerHTML = '';
+        for (const material of this.paletteMaterials) {
+            if (material.id === MATERIAL_IDS.EMPTY || material.behavior === 'source' || material.behavior === 'sink') continue;
+            
+            const option = document.createElement('option');
+            option.value = material.id;
+            option.textContent = material.label;
+            faucetSelect.appendChild(option);
+        }
+        faucetSelect.value = this.faucetMaterial;
     }
     
     setupEventListeners() {
         // Mouse events for drawing particles
         this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button === 1) { // Middle button pans the camera
+                e.preventDefault(); // no autoscroll
+                this.panStart = { x: e.clientX, y: e.clientY };
+                this.canvas.style.cursor = 'grabbing';
+                return;
+            }
+            this.simulation.beginOperation();
             if (e.button === 0) { // Left click
                 this.isMouseDown = true;
                 this.handleDrawStart(e);
@@ -953,41 +190,69 @@ class SandGame {
                 this.isRightMouseDown = true;
                 // Default right click is eraser
                 const activeMaterialBackup = this.activeMaterial;
-                this.activeMaterial = this.grid.materials.EMPTY;
+                this.activeMaterial = MATERIAL_IDS.EMPTY;
                 this.handleDraw(e);
                 this.activeMaterial = activeMaterialBackup;
             }
         });
         
         this.canvas.addEventListener('mousemove', (e) => {
+            const containerRect = this.container.getBoundingClientRect();
+            this.hoverCell = this.screenToCell(e);
+            this.hoverPosition = { x: e.clientX - containerRect.left, y: e.clientY - containerRect.top };
+            
+            if (this.panStart) {
+                const rect = this.canvas.getBoundingClientRect();
+                this.camera.pan((e.clientX - this.panStart.x) / rect.width, (e.clientY - this.panStart.y) / rect.height);
+                this.panStart = { x: e.clientX, y: e.clientY };
+            }
             if (this.isMouseDown) {
                 this.handleDraw(e);
             } else if (this.isRightMouseDown) {
                 const activeMaterialBackup = this.activeMaterial;
-                this.activeMaterial = this.grid.materials.EMPTY;
+                this.activeMaterial = MATERIAL_IDS.EMPTY;
                 this.handleDraw(e);
                 this.activeMaterial = activeMaterialBackup;
             }
         });
         
         this.canvas.addEventListener('mouseup', (e) => {
+            if (e.button === 1) {
+                this.stopPanning();
+                return;
+            }
             if (e.button === 0) { // Left click
                 this.isMouseDown = false;
                 this.handleDrawEnd(e);
             } else if (e.button === 2) { // Right click
                 this.isRightMouseDown = false;
             }
+            this.simulation.endOperation();
             this.lastMouseX = -1;
             this.lastMouseY = -1;
         });
         
         this.canvas.addEventListener('mouseleave', () => {
+            this.hoverCell = null;
+            this.stopPanning();
+            this.simulation.endOperation();
             this.isMouseDown = false;
             this.isRightMouseDown = false;
             this.lastMouseX = -1;
             this.lastMouseY = -1;
         });
         
+        // Mouse wheel zooms in and out around the cursor
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = this.canvas.getBoundingClientRect();
+            this.camera.zoomAt(
+                (e.clientX - rect.left) / rect.width,
+                (e.clientY - rect.top) / rect.height,
+                Math.exp(-e.deltaY * WHEEL_ZOOM_RATE)
+            );
+        }, { passive: false });
+        
         // Prevent context menu on right click
         this.canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
@@ -995,6 +260,7 @@ class SandGame {
         
         // Touch events for mobile
         this.canvas.addEventListener('touchstart', (e) => {
+            this.simulation.beginOperation();
             this.isMouseDown = true;
             this.handleDrawStart(e.touches[0]);
             e.preventDefault();
@@ -1009,25 +275,16 @@ class SandGame {
         
         this.canvas.addEventListener('touchend', () => {
             this.handleDrawEnd();
+            this.simulation.endOperation();
             this.isMouseDown = false;
             this.lastMouseX = -1;
             this.lastMouseY = -1;
         });
         
         // Material selection buttons
-        document.querySelectorAll('.material-button').forEach(button => {
+        document.querySelectorAll('.material-button').forEach((button, index) => {
             button.addEventListener('click', () => {
-                // Remove active class from all buttons
-                document.querySelectorAll('.material-button').forEach(btn => {
-                    btn.classList.remove('active');
-                });
-                
-                // Add active class to clicked button
-                button.classList.add('active');
-                
-                // Set active material
-                const material = button.dataset.material;
-                this.activeMaterial = this.materialNames[material] || 0;
+                this.selectMaterial(this.paletteMaterials[index].id);
             });
         });
         
@@ -1053,16 +310,19 @@ class SandGame {
                 const preset = button.dataset.preset;
                 
                 // Place preset in the center of the screen
-                const centerX = Math.floor(this.grid.width / 2);
-                const centerY = Math.floor(this.grid.height / 2);
-                
-                this.grid.createPreset(preset, centerX, centerY);
+                const grid = this.simulation.grid;
+                this.simulation.draw({
+                    shape: 'preset',
+                    preset,
+                    x: Math.floor(grid.width / 2),
+                    y: Math.floor(grid.height / 2)
+                });
             });
         });
         
         // Clear button
         document.getElementById('clear-button').addEventListener('click', () => {
-            this.grid.clear();
+            this.simulation.clear();
         });
         
         // Screenshot button
@@ -1074,11 +334,97 @@ class SandGame {
             link.click();
         });
         
+        // Undo and redo buttons
+        document.getElementById('undo-button').addEventListener('click', () => {
+            this.simulation.undo();
+        });
+        document.getElementById('redo-button').addEventListener('click', () => {
+            this.simulation.redo();
+        });
+        
+        // Seed field: applying a seed restarts the random sequence from it
+        document.getElementById('seed-button').addEventListener('click', () => {
+            const seed = parseInt(document.getElementById('seed-input').value);
+            if (!isNaN(seed)) {
+                this.simulation.setSeed(seed);
+            }
+            this.showSeed();
+        });
+        
+        // Worker toggle: move the simulation to a background thread, or back
+        const workerToggle = document.getElementById('worker-toggle');
+        if (typeof Worker === 'undefined') {
+            workerToggle.disabled = true;
+        }
+        workerToggle.addEventListener('change', () => {
+            this.setWorkerMode(workerToggle.checked);
+        });
+        
+        // Save and load buttons
+        document.getElementById('save-button').addEventListener('click', () => {
+            this.saveScene();
+        });
+        
+        const loadInput = document.getElementById('load-input');
+        document.getElementById('load-button').addEventListener('click', () => {
+            loadInput.click();
+        });
+        loadInput.addEventListener('change', () => {
+            if (loadInput.files.length > 0) {
+                this.loadSceneFile(loadInput.files[0]);
+            }
+            loadInput.value = ''; // allow loading the same file again
+        });
+        
+        // Drop a scene file onto the canvas to load it
+        this.canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (e.dataTransfer.files.length > 0) {
+                this.loadSceneFile(e.dataTransfer.files[0]);
+            }
+        });
+        
         // Pause button
         document.getElementById('pause-button').addEventListener('click', () => {
-            this.isPaused = !this.isPaused;
+            this.togglePause();
         });
         
+        // Step button: advance a paused simulation by one tick
+        document.getElementById('step-button').addEventListener('click', () => {
+            this.stepOnce();
+        });
+        
+        // Faucet settings, used for the faucets drawn from now on
+        const faucetSelect = document.getElementById('faucet-material');
+        faucetSelect.addEventListener('change', () => {
+            this.faucetMaterial = parseInt(faucetSelect.value);
+        });
+        
+        const faucetSlider = document.getElementById('faucet-rate');
+        const faucetValue = document.getElementById('faucet-rate-value');
+        faucetSlider.addEventListener('input', () => {
+            this.faucetRate = parseInt(faucetSlider.value);
+            faucetValue.textContent = this.faucetRate;
+        });
+        
+        // Render mode
+        const viewSelect = document.getElementById('view-mode');
+        viewSelect.addEventListener('change', () => {
+            this.setViewMode(viewSelect.value);
+        });
+        
+        // Edge modes, one menu per side
+        for (const side of EDGE_SIDES) {
+            const edgeSelect = document.getElementById(`edge-${side}`);
+            edgeSelect.addEventListener('change', () => {
+                this.simulation.setEdges({ [side]: edgeSelect.value });
+            });
+        }
+        
         // Particle size slider
         const sizeSlider = document.getElementById('particle-size');
         const sizeValue = document.getElementById('size-value');
@@ -1091,18 +437,29 @@ class SandGame {
             // Update pixel size
             this.pixelSize = newSize;
             
-            // Adjust gravity based on particle size
-            // Smaller particles need higher gravity values
-            this.gravityStrength = Math.max(1, Math.floor(3 / this.pixelSize));
-            document.getElementById('gravity-strength').value = this.gravityStrength;
-            document.getElementById('gravity-value').textContent = this.gravityStrength;
-            
-            // Rebuild grid with new resolution
-            const newWidth = Math.floor(this.canvasWidth / this.pixelSize);
-            const newHeight = Math.floor(this.canvasHeight / this.pixelSize);
-            
-            // Create new grid with adjusted size
-            this.grid = new Grid(newWidth, newHeight, this);
+            // Resample the scene to the new resolution
+            const newWidth = Math.floor(this.worldWidth / this.pixelSize);
+            const newHeight = Math.floor(this.worldHeight / this.pixelSize);
+            this.simulation.resample(newWidth, newHeight);
+        });
+        
+        // World size: presets apply straight away, custom sizes with the Apply button
+        const worldSelect = document.getElementById('world-size');
+        worldSelect.addEventListener('change', () => {
+            if (worldSelect.value === 'fit') {
+                // As large as the page allows, given the container's 80vh height limit
+                this.setWorldSize(this.container.clientWidth, Math.floor(window.innerHeight * 0.8));
+            } else if (WORLD_SIZES[worldSelect.value]) {
+                this.setWorldSize(...WORLD_SIZES[worldSelect.value]);
+            }
+        });
+        document.getElementById('world-button').addEventListener('click', () => {
+            const width = parseInt(document.getElementById('world-width').value);
+            const height = parseInt(document.getElementById('world-height').value);
+            if (!isNaN(width) && !isNaN(height)) {
+                this.setWorldSize(width, height);
+            }
+            this.showWorldSize();
         });
         
         // Gravity strength slider
@@ -1111,9 +468,20 @@ class SandGame {
         
         gravitySlider.addEventListener('input', () => {
             this.gravityStrength = parseInt(gravitySlider.value);
+            this.simulation.setGravity(this.gravityStrength);
             gravityValue.textContent = this.gravityStrength;
         });
         
+        // Ambient temperature slider
+        const ambientSlider = document.getElementById('ambient-temp');
+        const ambientValue = document.getElementById('ambient-value');
+        
+        ambientSlider.addEventListener('input', () => {
+            this.ambientTemp = parseInt(ambientSlider.value);
+            this.simulation.setAmbientTemp(this.ambientTemp);
+            ambientValue.textContent = this.ambientTemp;
+        });
+
         // Brush size slider
         const brushSlider = document.getElementById('brush-size');
         const brushValue = document.getElementById('brush-value');
@@ -1129,28 +497,34 @@ class SandGame {
         
         speedSlider.addEventListener('input', () => {
             this.simSpeed = parseInt(speedSlider.value);
+            this.timestep.setRate(BASE_TICKS_PER_SECOND * this.simSpeed);
             speedValue.textContent = this.simSpeed;
         });
         
         // Keyboard shortcuts
         window.addEventListener('keydown', (e) => {
-            // Material selection with number keys
-            if (!isNaN(parseInt(e.key)) && parseInt(e.key) >= 0 && parseInt(e.key) <= 9) {
-                // Materials are mapped to numbers 1-9
-                const materialValue = parseInt(e.key);
-                if (materialValue === 0) return; // Skip 0
-                
-                // Update UI and select material
-                document.querySelectorAll('.material-button').forEach(btn => {
-                    btn.classList.remove('active');
-                });
-                
-                // Find the corresponding material button and activate it
-                const materialButtons = document.querySelectorAll('.material-button');
-                if (materialValue <= materialButtons.length) {
-                    materialButtons[materialValue - 1].classList.add('active');
-                    this.activeMaterial = materialValue;
+            // Keys typed into a text field (the seed, the world size) are not shortcuts. Sliders
+            // and checkboxes keep focus after a click, and shortcuts still work there.
+            if (isTextEntry(e.target)) return;
+            
+            // Undo with Ctrl+Z, redo with Ctrl+Shift+Z or Ctrl+Y
+            if (e.ctrlKey || e.metaKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' || key === 'y') {
+                    e.preventDefault();
+                    if (key === 'y' || e.shiftKey) {
+                        this.simulation.redo();
+                    } else {
+                        this.simulation.undo();
+                    }
                 }
+                return;
+            }
+            
+            // Material selection with number keys, following the palette order
+            const digit = parseInt(e.key);
+            if (digit >= 1 && digit <= 9 && digit <= this.paletteMaterials.length) {
+                this.selectMaterial(this.paletteMaterials[digit - 1].id);
             }
             
             // Tool selection
@@ -1168,12 +542,8 @@ class SandGame {
                     this.setTool('circle');
                     break;
                 case 'e':
-                    // Select eraser (material 0)
-                    document.querySelectorAll('.material-button').forEach(btn => {
-                        btn.classList.remove('active');
-                    });
-                    document.querySelector('.material-button[data-material="eraser"]').classList.add('active');
-                    this.activeMaterial = 0;
+                    // Select eraser
+                    this.selectMaterial(MATERIAL_IDS.EMPTY);
                     break;
                 case '[':
                     // Decrease brush size
@@ -1189,7 +559,19 @@ class SandGame {
                     break;
                 case ' ':
                     // Pause/play
-                    this.isPaused = !this.isPaused;
+                    this.togglePause();
+                    break;
+                case '.':
+                    // Single step while paused
+                    this.stepOnce();
+                    break;
+                case '0':
+                    // Zoom out to the whole world
+                    this.camera.reset();
+                    break;
+                case 'v':
+                    // Next render mode
+                    this.setViewMode(RENDER_MODES[(RENDER_MODES.indexOf(this.viewMode) + 1) % RENDER_MODES.length]);
                     break;
                 case 's':
                     // Screenshot
@@ -1197,12 +579,149 @@ class SandGame {
                     break;
                 case 'delete':
                     // Clear screen
-                    this.grid.clear();
+                    this.simulation.clear();
                     break;
             }
         });
     }
     
+    saveScene() {
+        this.simulation.save({
+            pixelSize: this.pixelSize,
+            worldWidth: this.worldWidth,
+            worldHeight: this.worldHeight,
+            gravityStrength: this.gravityStrength,
+            simSpeed: this.simSpeed
+        })
+            .then(bytes => {
+                const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = 'sand-scene.sand';
+                link.click();
+                URL.revokeObjectURL(url);
+            })
+            .catch(error => {
+                console.error('Error saving scene:', error);
+                alert('Could not save scene: ' + error.message);
+            });
+    }
+    
+    loadSceneFile(file) {
+        file.arrayBuffer()
+            .then(buffer => this.simulation.load(buffer))
+            .then(settings => {
+                if (settings.pixelSize) this.pixelSize = settings.pixelSize;
+                [this.worldWidth, this.worldHeight] = settings.worldWidth
+                    ? [settings.worldWidth, settings.worldHeight]
+                    : WORLD_SIZES.medium;
+                if (settings.gravityStrength) this.gravityStrength = settings.gravityStrength;
+                // Scenes saved before the ambient temperature could change were at 20°C
+                this.ambientTemp = settings.ambientTemp !== undefined ? settings.ambientTemp : 20;
+                if (settings.simSpeed) this.simSpeed = settings.simSpeed;
+                this.timestep.setRate(BASE_TICKS_PER_SECOND * this.simSpeed);
+                this.updateSlider('particle-size', 'size-value', this.pixelSize);
+                this.updateSlider('gravity-strength', 'gravity-value', this.gravityStrength);
+                this.updateSlider('ambient-temp', 'ambient-value', this.ambientTemp);
+                this.updateSlider('sim-speed', 'speed-value', this.simSpeed);
+                
+                this.simulation.setGravity(this.gravityStrength);
+                this.showSeed();
+                this.showWorldSize();
+                this.showEdges(settings.edges || {});
+            })
+            .catch(error => {
+                console.error('Error loading scene:', error);
+                alert('Could not load scene: ' + error.message);
+            });
+    }
+    
+    // Carry the scene over to a simulation running in a worker (or back on this thread).
+    // The undo history stays behind.
+    setWorkerMode(enabled) {
+        const previous = this.simulation;
+        const grid = previous.grid;
+        
+        previous.save({})
+            .then(bytes => {
+                const Simulation = enabled ? WorkerSimulation : LocalSimulation;
+                const next = new Simulation(grid.width, grid.height, {
+                    gravity: this.gravityStrength,
+                    seed: previous.seed
+                });
+                return next.load(bytes).then(() => {
+                    next.setGravity(this.gravityStrength);
+                    this.simulation = next;
+                    previous.dispose();
+                    this.showSeed();
+                });
+            })
+            .catch(error => {
+                console.error('Error switching simulation thread:', error);
+                alert('Could not switch simulation thread: ' + error.message);
+                document.getElementById('worker-toggle').checked = !enabled;
+            });
+    }
+    
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        this.pendingSteps = 0;
+        // Don't count the paused time as time the simulation fell behind
+        this.timestep.reset();
+    }
+    
+    stepOnce() {
+        if (this.isPaused) {
+            this.pendingSteps++;
+        }
+    }
+    
+    showSeed() {
+        document.getElementById('seed-input').value = this.simulation.seed;
+    }
+    
+    // Move the edges of the world. The scene stays put against the floor, centred sideways;
+    // whatever falls outside the new edges is cut off.
+    setWorldSize(width, height) {
+        this.worldWidth = Math.min(MAX_WORLD_SIZE, Math.max(MIN_WORLD_SIZE, Math.round(width)));
+        this.worldHeight = Math.min(MAX_WORLD_SIZE, Math.max(MIN_WORLD_SIZE, Math.round(height)));
+        this.simulation.resize(
+            Math.floor(this.worldWidth / this.pixelSize),
+            Math.floor(this.worldHeight / this.pixelSize),
+            { anchorX: 0.5, anchorY: 1 }
+        );
+        this.showWorldSize();
+    }
+    
+    // Scenes saved before edge modes existed had solid edges
+    showEdges(edges) {
+        for (const side of EDGE_SIDES) {
+            document.getElementById(`edge-${side}`).value = edges[side] || 'solid';
+        }
+    }
+    
+    showWorldSize() {
+        document.getElementById('world-width').value = this.worldWidth;
+        document.getElementById('world-height').value = this.worldHeight;
+        
+        const preset = Object.keys(WORLD_SIZES).find(name =>
+            WORLD_SIZES[name][0] === this.worldWidth && WORLD_SIZES[name][1] === this.worldHeight);
+        document.getElementById('world-size').value = preset || 'custom';
+    }
+    
+    updateSlider(sliderId, valueId, value) {
+        document.getElementById(sliderId).value = value;
+        document.getElementById(valueId).textContent = value;
+    }
+    
+    selectMaterial(materialId) {
+        const buttons = document.querySelectorAll('.material-button');
+        buttons.forEach((btn, index) => {
+            btn.classList.toggle('active', this.paletteMaterials[index].id === materialId);
+        });
+        this.activeMaterial = materialId;
+    }
+    
     setTool(toolName) {
         document.querySelectorAll('.tool-button').forEach(btn => {
             btn.classList.remove('active');
@@ -1211,13 +730,92 @@ class SandGame {
         this.currentTool = toolName;
     }
     
-    handleDrawStart(e) {
+    setViewMode(mode) {
+        this.viewMode = mode;
+        document.getElementById('view-mode').value = mode;
+        
+        // Show the mode's color scale under the menu
+        const legend = document.getElementById('view-legend');
+        const stops = this.renderer.legend(mode, this.simulation.grid);
+        legend.hidden = !stops;
+        if (stops) {
+            const gradient = stops.map((stop, k) => `${stop.color} ${(k * 100 / (stops.length - 1)).toFixed(1)}%`);
+            document.getElementById('legend-bar').style.background = `linear-gradient(to right, ${gradient.join(', ')})`;
+            
+            const labels = document.getElementById('legend-labels');
+            labels.innerHTML = '';
+            for (const stop of stops) {
+                const label = document.createElement('span');
+                label.textContent = stop.label;
+                labels.appendChild(label);
+            }
+        }
+    }
+    
+    // Material, temperature and life of the cell under the cursor, next to it, in the debug views
+    showCellInfo() {
+        const grid = this.simulation.grid;
+        const cell = this.hoverCell;
+        if (this.viewMode === 'material' || !cell || !grid.inBounds(cell.x, cell.y)) {
+            this.tooltip.hidden = true;
+            return;
+        }
+        
+        const index = cell.y * grid.width + cell.x;
+        const material = grid.properties[grid.grid[index]];
+        const name = material.id === MATERIAL_IDS.EMPTY ? 'Air' : material.label;
+        let life = `life ${grid.life[index]}`;
+        if (material.behavior === 'source') {
+            // A faucet's life holds what it emits and how often
+            const emitted = MATERIALS[grid.life[index] & 0xff];
+            life = emitted && emitted.id !== MATERIAL_IDS.EMPTY
+                ? `emits ${emitted.label}, ${grid.life[index] >> 8}%`
+                : 'emits nothing';
+        }
+        this.tooltip.textContent = `${name} (${cell.x}, ${cell.y}) · ${grid.temp[index].toFixed(1)}°C · ${life}`;
+        
+        // Keep it on the side of the cursor with more room
+        const { x, y } = this.hoverPosition;
+        const flip = x > this.container.clientWidth / 2;
+        this.tooltip.style.left = flip ? '' : `${x + 14}px`;
+        this.tooltip.style.right = flip ? `${this.container.clientWidth - x + 14}px` : '';
+        this.tooltip.style.top = `${y + 14}px`;
+        this.tooltip.hidden = false;
+    }
+    
+    stopPanning() {
+        this.panStart = null;
+        this.canvas.style.cursor = '';
+    }
+    
+    // Grid cell under a mouse or touch position
+    screenToCell(e) {
+        const grid = this.simulation.grid;
         const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
+        const point = this.camera.toWorld((e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height);
+        return {
+            x: Math.floor(point.x * grid.width),
+            y: Math.floor(point.y * grid.height)
+        };
+    }
+    
+    // Canvas position of a cell's top left corner, in backing store pixels
+    cellToCanvas(x, y) {
+        const grid = this.simulation.grid;
+        const point = this.camera.toViewport(x / grid.width, y / grid.height);
+        return { x: point.u * this.canvas.width, y: point.v * this.canvas.height };
+    }
+    
+    handleDrawStart(e) {
+        const { x, y } = this.screenToCell(e);
         
-        const x = Math.floor((e.clientX - rect.left) * scaleX / this.pixelSize);
-        const y = Math.floor((e.clientY - rect.top) * scaleY / this.pixelSize);
+        // Clicking a switch with the switch brush flips the switches under it instead of painting
+        if (this.currentTool === 'brush' && this.activeMaterial === MATERIAL_IDS.SWITCH &&
+                this.simulation.grid.get(x, y) === MATERIAL_IDS.SWITCH) {
+            this.simulation.draw({ shape: 'toggle', x, y, radius: this.brushSize });
+            this.isMouseDown = false;
+            return;
+        }
         
         // Store starting point for shape tools
         if (this.currentTool !== 'brush') {
@@ -1231,80 +829,86 @@ class SandGame {
     }
     
     handleDraw(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        
-        const x = Math.floor((e.clientX - rect.left) * scaleX / this.pixelSize);
-        const y = Math.floor((e.clientY - rect.top) * scaleY / this.pixelSize);
+        const { x, y } = this.screenToCell(e);
         
         // Only handle brush drawing on mouse move
         if (this.currentTool === 'brush') {
             // Draw a line between last position and current position for smoother drawing
             if (this.lastMouseX !== -1) {
-                this.grid.drawLine(this.lastMouseX, this.lastMouseY, x, y, this.activeMaterial, this.brushSize);
+                this.simulation.draw({
+                    shape: 'line',
+                    x1: this.lastMouseX,
+                    y1: this.lastMouseY,
+                    x2: x,
+                    y2: y,
+                    material: this.activeMaterial,
+                    life: this.brushLife(),
+                    thickness: this.brushSize
+                });
             } else {
                 this.drawAtPosition(x, y);
             }
-            
-            this.lastMouseX = x;
-            this.lastMouseY = y;
         }
+        
+        // Shape tools preview up to the cursor (and touches end there)
+        this.lastMouseX = x;
+        this.lastMouseY = y;
     }
     
     handleDrawEnd(e) {
         // Only handle draw end for shape tools
         if (this.currentTool !== 'brush' && this.drawingStart) {
-            const rect = this.canvas.getBoundingClientRect();
-            const scaleX = this.canvas.width / rect.width;
-            const scaleY = this.canvas.height / rect.height;
-            
             let endX, endY;
             if (e) {
-                endX = Math.floor((e.clientX - rect.left) * scaleX / this.pixelSize);
-                endY = Math.floor((e.clientY - rect.top) * scaleY / this.pixelSize);
+                ({ x: endX, y: endY } = this.screenToCell(e));
             } else {
                 // For touch events where e might not be available
                 endX = this.lastMouseX;
                 endY = this.lastMouseY;
             }
             
+            const start = this.drawingStart;
             switch(this.currentTool) {
                 case 'line':
-                    this.grid.drawLine(
-                        this.drawingStart.x,
-                        this.drawingStart.y,
-                        endX,
-                        endY,
-                        this.activeMaterial,
-                        this.brushSize
-                    );
+                    this.simulation.draw({
+                        shape: 'line',
+                        x1: start.x,
+                        y1: start.y,
+                        x2: endX,
+                        y2: endY,
+                        material: this.activeMaterial,
+                        life: this.brushLife(),
+                        thickness: this.brushSize
+                    });
                     break;
-                    
+                
                 case 'rect':
-                    this.grid.drawRect(
-                        this.drawingStart.x,
-                        this.drawingStart.y,
-                        endX,
-                        endY,
-                        this.activeMaterial,
-                        e.shiftKey // Hold shift for filled rectangle
-                    );
+                    this.simulation.draw({
+                        shape: 'rect',
+                        x1: start.x,
+                        y1: start.y,
+                        x2: endX,
+                        y2: endY,
+                        material: this.activeMaterial,
+                        life: this.brushLife(),
+                        filled: Boolean(e && e.shiftKey) // Hold shift for filled rectangle
+                    });
                     break;
-                    
+                
                 case 'circle':
                     // Calculate radius from two points
-                    const dx = endX - this.drawingStart.x;
-                    const dy = endY - this.drawingStart.y;
-                    const radius = Math.floor(Math.sqrt(dx * dx + dy * dy));
+                    const dx = endX - start.x;
+                    const dy = endY - start.y;
                     
-                    this.grid.setCircle(
-                        this.drawingStart.x,
-                        this.drawingStart.y,
-                        this.activeMaterial,
-                        radius,
-                        0.9 // High probability for solid circle
-                    );
+                    this.simulation.draw({
+                        shape: 'circle',
+                        x: start.x,
+                        y: start.y,
+                        material: this.activeMaterial,
+                        life: this.brushLife(),
+                        radius: Math.floor(Math.sqrt(dx * dx + dy * dy)),
+                        probability: 0.9 // High probability for solid circle
+                    });
                     break;
             }
             
@@ -1312,94 +916,67 @@ class SandGame {
         }
     }
     
+    // Life for the particles a tool places: faucets take their emitter settings, anything
+    // else starts with its material's own life (undefined)
+    brushLife() {
+        if (MATERIALS[this.activeMaterial].behavior === 'source') {
+            return emitterLife(this.faucetMaterial, this.faucetRate);
+        }
+        return undefined;
+    }
+    
     drawAtPosition(x, y) {
         // Draw particles with the active material and current brush size
         // Use a circle and randomness for more natural look
-        this.grid.setCircle(
+        const fixture = ['static', 'source', 'sink'].includes(MATERIALS[this.activeMaterial].behavior);
+        this.simulation.draw({
+            shape: 'circle',
             x,
             y,
-            this.activeMaterial,
-            this.brushSize,
-            this.activeMaterial === this.grid.materials.WALL ? 1.0 : 0.7 // Less randomness for walls
-        );
+            material: this.activeMaterial,
+            life: this.brushLife(),
+            radius: this.brushSize,
+            probability: fixture ? 1.0 : 0.7 // Less randomness for walls and other solid blocks
+        });
     }
     
-    update() {
-        if (!this.isPaused) {
-            // Run update multiple times based on simulation speed
-            for (let i = 0; i < this.simSpeed; i++) {
-                this.grid.update();
+    update(time) {
+        // Run as many ticks as are due at the target rate, or the single steps asked for while
+        // paused. A worker simulation is stepped even with no ticks due, so it sends back the
+        // edits made in the meantime.
+        const ticks = this.isPaused ? this.pendingSteps : this.timestep.advance(time);
+        
+        // A busy worker turns the step down; the ticks stay due for the next frame
+        if (this.simulation.step(ticks)) {
+            if (this.isPaused) {
+                this.pendingSteps = 0;
+            } else {
+                this.timestep.consume(ticks);
             }
         }
     }
     
     render() {
-        // Clear canvas
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
-        
-        // Render grid
-        for (let y = 0; y < this.grid.height; y++) {
-            for (let x = 0; x < this.grid.width; x++) {
-                const value = this.grid.get(x, y);
-                if (value !== 0) { // If not empty
-                    const baseColor = this.colors[value];
-                    
-                    let adjustedColor;
-                    
-                    // Apply color variations and effects based on material and metadata
-                    switch (value) {
-                        case this.grid.materials.SAND:
-                            adjustedColor = this.varyColor(baseColor, 15, 10);
-                            break;
-                        case this.grid.materials.WATER:
-                            adjustedColor = this.varyColor(baseColor, 5, 10);
-                            break;
-                        case this.grid.materials.FIRE: {
-                            // Fire gets more yellow as it ages
-                            const meta = this.grid.getMeta(x, y);
-                            const lifeRatio = meta.life / this.grid.properties[this.grid.materials.FIRE].lifespan;
-                            const r = 255;
-                            const g = Math.min(255, Math.floor(lifeRatio * 200) + 50);
-                            const b = Math.floor(lifeRatio * 50);
-                            adjustedColor = `rgb(${r}, ${g}, ${b})`;
-                            break;
-                        }
-                        case this.grid.materials.STEAM: {
-                            // Steam becomes more transparent as it ages
-                            const meta = this.grid.getMeta(x, y);
-                            const lifeRatio = meta.life / this.grid.properties[this.grid.materials.STEAM].lifespan;
-                            const alpha = lifeRatio * 0.8;
-                            adjustedColor = `rgba(200, 200, 200, ${alpha})`;
-                            break;
-                        }
-                        default:
-                            adjustedColor = this.varyColor(baseColor, 5, 5);
-                    }
-                    
-                    this.ctx.fillStyle = adjustedColor;
-                    this.ctx.fillRect(
-                        x * this.pixelSize,
-                        y * this.pixelSize,
-                        this.pixelSize,
-                        this.pixelSize
-                    );
-                }
-            }
+        // The grid changes size on load, resize and resample (in a worker, with the next frame)
+        const grid = this.simulation.grid;
+        if (grid.width !== this.layoutWidth || grid.height !== this.layoutHeight) {
+            this.layoutCanvas();
         }
+        this.renderer.render(grid, this.camera.view(grid.width, grid.height), this.viewMode);
+        this.showCellInfo();
         
         // Draw preview for shape tools
         if (this.isMouseDown && this.drawingStart && this.currentTool !== 'brush') {
             this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-            this.ctx.lineWidth = 1;
+            this.ctx.lineWidth = window.devicePixelRatio || 1;
             
-            const startX = this.drawingStart.x * this.pixelSize;
-            const startY = this.drawingStart.y * this.pixelSize;
+            const { x: startX, y: startY } = this.cellToCanvas(this.drawingStart.x, this.drawingStart.y);
             
             // Get current mouse position for preview
-            const rect = this.canvas.getBoundingClientRect();
-            const mouseX = (this.lastMouseX >= 0 ? this.lastMouseX : this.drawingStart.x) * this.pixelSize;
-            const mouseY = (this.lastMouseY >= 0 ? this.lastMouseY : this.drawingStart.y) * this.pixelSize;
+            const { x: mouseX, y: mouseY } = this.cellToCanvas(
+                this.lastMouseX >= 0 ? this.lastMouseX : this.drawingStart.x,
+                this.lastMouseY >= 0 ? this.lastMouseY : this.drawingStart.y
+            );
             
             switch(this.currentTool) {
                 case 'line':
@@ -1431,28 +1008,9 @@ class SandGame {
         }
     }
     
-    varyColor(baseColor, satVar = 10, lightVar = 5) {
-        // Convert hex to RGB
-        const r = parseInt(baseColor.slice(1, 3), 16);
-        const g = parseInt(baseColor.slice(3, 5), 16);
-        const b = parseInt(baseColor.slice(5, 7), 16);
-        
-        // Add slight random variations
-        const rVar = r + Math.floor(Math.random() * satVar - satVar/2);
-        const gVar = g + Math.floor(Math.random() * satVar - satVar/2);
-        const bVar = b + Math.floor(Math.random() * lightVar - lightVar/2);
-        
-        // Ensure values stay in valid range
-        const rFinal = Math.min(255, Math.max(0, rVar));
-        const gFinal = Math.min(255, Math.max(0, gVar));
-        const bFinal = Math.min(255, Math.max(0, bVar));
-        
-        return `rgb(${rFinal}, ${gFinal}, ${bFinal})`;
-    }
-    
     startGameLoop() {
-        const gameLoop = () => {
-            this.update();
+        const gameLoop = (time) => {
+            this.update(time);
             this.render();
             requestAnimationFrame(gameLoop);
         };
@@ -0,0 +1,307 @@
+/**
+ * Scene file format
+ * A saved scene is a small binary file:
+ *
+ *   'SAND'                 4-byte magic
+ *   version                uint8
+ *   header length          uint32
+ *   header                 UTF-8 JSON: { width, height, settings, materials, random,
+ *                                       tick, chunkSize, awake }
+ *   channels               for each entry of SAVE_CHANNELS: uint32 byte length + run-length data
+ *
+ * Each channel is stored as runs of (varint count, little-endian value). Settled scenes are
+ * mostly long runs of empty cells at room temperature, so this shrinks them a lot.
+ * `materials` maps the saved material ids to names, so scenes still load after the
+ * registry gains or reorders materials. `random` holds the seed and current state of the
+ * grid's generator (version 2 and later), so a loaded scene continues exactly as it would have.
+ * Version 3 added the velocity channels; particles in older files load at rest.
+ * Version 4 added the grid's tick count, its chunk size, the chunks due to be simulated next
+ * tick (`awake`, as chunk indices) and the `moved` channel of update stamps. Which chunks sleep
+ * decides which particles draw random numbers, so without them a loaded scene drifts from the
+ * original. Older files load with every chunk awake.
+ * The grid's edge modes and ambient temperature are saved with the settings, as
+ * `settings.edges` and `settings.ambientTemp`.
+ */
+
+import { Grid } from './grid.js';
+import { MATERIAL_IDS } from './materials.js';
+
+const SAVE_MAGIC = 'SAND';
+export const SAVE_VERSION = 4;
+
+// Per-cell arrays of a Grid that go into the file, in order, with the version that added them
+const SAVE_CHANNELS = [
+    { key: 'grid', type: Uint8Array, read: 'getUint8', write: 'setUint8', since: 1 },
+    { key: 'temp', type: Float32Array, read: 'getFloat32', write: 'setFloat32', since: 1 },
+    { key: 'life', type: Int16Array, read: 'getInt16', write: 'setInt16', since: 1 },
+    { key: 'shade', type: Uint8Array, read: 'getUint8', write: 'setUint8', since: 1 },
+    { key: 'vx', type: Float32Array, read: 'getFloat32', write: 'setFloat32', since: 3 },
+    { key: 'vy', type: Float32Array, read: 'getFloat32', write: 'setFloat32', since: 3 },
+    { key: 'moved', type: Uint32Array, read: 'getUint32', write: 'setUint32', since: 4 }
+];
+
+// Growable little-endian byte buffer
+class ByteWriter {
+    constructor(capacity = 1024) {
+        this.bytes = new Uint8Array(capacity);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + count) capacity *= 2;
+
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    uint8(value) {
+        this.reserve(1);
+        this.view.setUint8(this.length, value);
+        this.length += 1;
+    }
+
+    uint32(value) {
+        this.reserve(4);
+        this.view.setUint32(this.length, value, true);
+        this.length += 4;
+    }
+
+    varint(value) {
+        while (value >= 0x80) {
+            this.uint8((value & 0x7f) | 0x80);
+            value >>>= 7;
+        }
+        this.uint8(value);
+    }
+
+    value(method, size, value) {
+        this.reserve(size);
+        this.view[method](this.length, value, true);
+        this.length += size;
+    }
+
+    raw(bytes) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    finish() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    ensure(count) {
+        if (this.offset + count > this.bytes.length) {
+            throw new Error('Scene file is truncated');
+        }
+    }
+
+    uint8() {
+        this.ensure(1);
+        return this.view.getUint8(this.offset++);
+    }
+
+    uint32() {
+        this.ensure(4);
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    varint() {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = this.uint8();
+            value += (byte & 0x7f) * Math.pow(2, shift);
+            shift += 7;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    value(method, size) {
+        this.ensure(size);
+        const value = this.view[method](this.offset, true);
+        this.offset += size;
+        return value;
+    }
+
+    raw(count) {
+        this.ensure(count);
+        const bytes = this.bytes.subarray(this.offset, this.offset + count);
+        this.offset += count;
+        return bytes;
+    }
+}
+
+function encodeChannel(array, channel) {
+    const writer = new ByteWriter();
+    const size = channel.type.BYTES_PER_ELEMENT;
+
+    let start = 0;
+    while (start < array.length) {
+        let end = start + 1;
+        // Object.is keeps NaN runs together and tells -0 from 0
+        while (end < array.length && Object.is(array[end], array[start])) end++;
+
+        writer.varint(end - start);
+        writer.value(channel.write, size, array[start]);
+        start = end;
+    }
+
+    return writer.finish();
+}
+
+function decodeChannel(bytes, length, channel) {
+    const reader = new ByteReader(bytes);
+    const size = channel.type.BYTES_PER_ELEMENT;
+    const array = new channel.type(length);
+
+    let index = 0;
+    while (reader.offset < bytes.length) {
+        const count = reader.varint();
+        const value = reader.value(channel.read, size);
+        if (index + count > length) {
+            throw new Error(`Scene channel "${channel.key}" has more cells than the grid`);
+        }
+        array.fill(value, index, index + count);
+        index += count;
+    }
+
+    if (index !== length) {
+        throw new Error(`Scene channel "${channel.key}" is missing cells`);
+    }
+    return array;
+}
+
+// Encode a grid and the game settings that go with it into a scene file
+export function serializeScene(grid, settings = {}) {
+    // Only name the materials the scene actually uses, counting the ones faucets emit
+    const used = new Set(grid.grid);
+    for (let i = 0; i < grid.grid.length; i++) {
+        if (grid.properties[grid.grid[i]].behavior === 'source') {
+            used.add(grid.life[i] & 0xff);
+        }
+    }
+    const materials = {};
+    for (const id of used) {
+        materials[id] = grid.properties[id].name;
+    }
+
+    const awake = [];
+    for (let chunk = 0; chunk < grid.awakeNext.length; chunk++) {
+        if (grid.awakeNext[chunk]) awake.push(chunk);
+    }
+
+    const header = new TextEncoder().encode(JSON.stringify({
+        width: grid.width,
+        height: grid.height,
+        settings: { ...settings, edges: grid.edges, ambientTemp: grid.ambientTemp },
+        materials,
+        random: { seed: grid.random.seed, state: grid.random.state },
+        tick: grid.tick,
+        chunkSize: grid.chunkSize,
+        awake
+    }));
+
+    const writer = new ByteWriter(header.length + 1024);
+    for (let i = 0; i < SAVE_MAGIC.length; i++) {
+        writer.uint8(SAVE_MAGIC.charCodeAt(i));
+    }
+    writer.uint8(SAVE_VERSION);
+    writer.uint32(header.length);
+    writer.raw(header);
+
+    for (const channel of SAVE_CHANNELS) {
+        const encoded = encodeChannel(grid[channel.key], channel);
+        writer.uint32(encoded.length);
+        writer.raw(encoded);
+    }
+
+    return writer.finish();
+}
+
+// Decode a scene file into a new Grid. Returns { grid, settings }.
+export function deserializeScene(bytes) {
+    if (bytes instanceof ArrayBuffer) {
+        bytes = new Uint8Array(bytes);
+    }
+
+    const reader = new ByteReader(bytes);
+    const magic = String.fromCharCode(...reader.raw(SAVE_MAGIC.length));
+    if (magic !== SAVE_MAGIC) {
+        throw new Error('Not a sand scene file');
+    }
+
+    const version = reader.uint8();
+    if (version > SAVE_VERSION) {
+        throw new Error(`Scene file version ${version} is newer than this simulation supports`);
+    }
+
+    const header = JSON.parse(new TextDecoder().decode(reader.raw(reader.uint32())));
+    const { width, height } = header;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error('Scene file has invalid dimensions');
+    }
+
+    const settings = header.settings || {};
+    const grid = new Grid(width, height, {
+        gravity: settings.gravityStrength,
+        edges: settings.edges,
+        ambientTemp: settings.ambientTemp,
+        chunkSize: header.chunkSize
+    });
+    if (header.random) {
+        grid.random.seed = header.random.seed >>> 0;
+        grid.random.state = header.random.state >>> 0;
+    }
+    if (header.tick !== undefined) {
+        grid.tick = header.tick >>> 0;
+    }
+    if (Array.isArray(header.awake)) {
+        grid.awakeNext.fill(0);
+        for (const chunk of header.awake) {
+            if (chunk >= 0 && chunk < grid.awakeNext.length) grid.awakeNext[chunk] = 1;
+        }
+    }
+
+    for (const channel of SAVE_CHANNELS) {
+        if (channel.since > version) continue;
+        const encoded = reader.raw(reader.uint32());
+        grid[channel.key].set(decodeChannel(encoded, width * height, channel));
+    }
+
+    // Map saved material ids onto the current registry by name
+    const idMap = new Uint8Array(256);
+    for (const [savedId, name] of Object.entries(header.materials)) {
+        const id = MATERIAL_IDS[name];
+        if (id === undefined) {
+            console.warn(`Scene uses unknown material "${name}", loading it as empty space`);
+        }
+        idMap[savedId] = id === undefined ? MATERIAL_IDS.EMPTY : id;
+    }
+    for (let i = 0; i < grid.grid.length; i++) {
+        grid.grid[i] = idMap[grid.grid[i]];
+        // Faucets hold the id of what they emit in their life
+        if (grid.properties[grid.grid[i]].behavior === 'source') {
+            grid.life[i] = (grid.life[i] & ~0xff) | idMap[grid.life[i] & 0xff];
+        }
+    }
+
+    return { grid, settings };
+}
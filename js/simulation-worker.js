@@ -0,0 +1,8 @@
+/**
+ * Simulation worker
+ * Entry point of the Web Worker a WorkerSimulation runs the grid in.
+ */
+
+import { serveSimulation } from './simulation.js';
+
+serveSimulation(self);
@@ -0,0 +1,368 @@
+/**
+ * Simulation hosts
+ * The front end drives the simulation through a host. LocalSimulation runs the grid on the
+ * calling thread; WorkerSimulation runs a LocalSimulation in a Web Worker and keeps a copy
+ * of the grid for painting, refreshed from the worker after every step. Both hosts have the
+ * same interface, and edits are plain draw commands so they can be posted as messages.
+ */
+
+import { Grid } from './grid.js';
+import { Random } from './random.js';
+import { EditHistory } from './history.js';
+import { createPreset } from './presets.js';
+import { serializeScene, deserializeScene } from './save-format.js';
+
+// Per-cell arrays of a Grid copied from the worker after every step
+const FRAME_CHANNELS = ['grid', 'temp', 'life', 'shade'];
+
+// LocalSimulation methods a WorkerSimulation may call in the worker
+const REMOTE_METHODS = new Set([
+    'step', 'draw', 'beginOperation', 'endOperation', 'undo', 'redo', 'clear',
+    'setGravity', 'setEdges', 'setAmbientTemp', 'setSeed', 'resample', 'resize', 'save', 'load'
+]);
+
+// Apply one draw command, e.g. { shape: 'line', x1, y1, x2, y2, material, thickness }. Shapes
+// may carry the life to give the particles they place, as for faucets. { shape: 'toggle', x,
+// y, radius } flips the switches in a circle.
+export function applyDrawCommand(grid, command) {
+    switch (command.shape) {
+        case 'circle':
+            grid.setCircle(command.x, command.y, command.material, command.radius, command.probability, command.life);
+            break;
+        case 'line':
+            grid.drawLine(command.x1, command.y1, command.x2, command.y2, command.material, command.thickness, command.life);
+            break;
+        case 'rect':
+            grid.drawRect(command.x1, command.y1, command.x2, command.y2, command.material, command.filled, command.life);
+            break;
+        case 'toggle':
+            grid.toggleSwitches(command.x, command.y, command.radius);
+            break;
+        case 'preset':
+            createPreset(grid, command.preset, command.x, command.y);
+            break;
+        default:
+            throw new Error(`Unknown draw command "${command.shape}"`);
+    }
+}
+
+export class LocalSimulation {
+    constructor(width, height, { gravity = 1, seed } = {}) {
+        this.grid = new Grid(width, height, { gravity, seed });
+        this.history = new EditHistory();
+    }
+
+    get seed() {
+        return this.grid.random.seed;
+    }
+
+    // Returns whether the ticks were run (always, on this thread)
+    step(ticks) {
+        for (let i = 0; i < ticks; i++) {
+            this.grid.update();
+        }
+        return true;
+    }
+
+    // Draw commands between beginOperation() and endOperation() are undone together
+    draw(command) {
+        this.history.record(this.grid, () => applyDrawCommand(this.grid, command));
+    }
+
+    beginOperation() {
+        this.history.beginOperation();
+    }
+
+    endOperation() {
+        this.history.endOperation();
+    }
+
+    undo() {
+        this.history.undo(this.grid);
+    }
+
+    redo() {
+        this.history.redo(this.grid);
+    }
+
+    // The undo history refers to the cells that were cleared, so it goes too
+    clear() {
+        this.grid.clear();
+        this.history.clear();
+    }
+
+    setGravity(gravity) {
+        this.grid.gravity = gravity;
+    }
+
+    // e.g. setEdges({ bottom: 'void' }), see Grid.setEdges()
+    setEdges(edges) {
+        this.grid.setEdges(edges);
+    }
+    
+    setAmbientTemp(temp) {
+        this.grid.setAmbientTemp(temp);
+    }
+
+    setSeed(seed) {
+        this.grid.random.setSeed(seed);
+    }
+
+    // Scale the scene to a new grid size. The undo history refers to the old cells, so it goes
+    // (here and in resize()).
+    resample(width, height) {
+        this.grid = this.grid.resample(width, height);
+        this.history.clear();
+    }
+
+    // Move the edges of the world, keeping the scene where it is relative to the anchor
+    resize(width, height, anchor) {
+        this.grid = this.grid.resize(width, height, anchor);
+        this.history.clear();
+    }
+
+    // Resolves to the scene file bytes
+    async save(settings) {
+        return serializeScene(this.grid, settings);
+    }
+
+    // Replace the grid with a scene file. Resolves to the settings saved with it.
+    async load(bytes) {
+        const { grid, settings } = deserializeScene(bytes);
+        this.grid = grid;
+        this.history.clear();
+        return settings;
+    }
+
+    dispose() {}
+}
+
+// Answer the messages of a WorkerSimulation on the other end of port (a worker's global scope,
+// or a MessagePort)
+export function serveSimulation(port) {
+    let simulation = null;
+    const spareFrames = []; // frame buffers the main thread has finished with
+
+    function postFrame() {
+        const grid = simulation.grid;
+        let channels = spareFrames.pop();
+        if (!channels || channels.grid.length !== grid.grid.length) {
+            channels = {};
+            for (const key of FRAME_CHANNELS) {
+                channels[key] = new grid[key].constructor(grid[key].length);
+            }
+        }
+        for (const key of FRAME_CHANNELS) {
+            channels[key].set(grid[key]);
+        }
+
+        // The main thread repaints what changed since the last frame, and can show which chunks
+        // were simulated
+        const dirty = grid.dirty.slice();
+        grid.dirty.fill(0);
+        const awake = grid.awake.slice();
+        
+        port.postMessage({
+            type: 'frame',
+            width: grid.width,
+            height: grid.height,
+            seed: simulation.seed,
+            channels,
+            dirty,
+            awake
+        }, [...FRAME_CHANNELS.map(key => channels[key].buffer), dirty.buffer, awake.buffer]);
+    }
+
+    port.onmessage = ({ data: message }) => {
+        switch (message.type) {
+            case 'init':
+                simulation = new LocalSimulation(message.width, message.height, message.options);
+                break;
+            case 'recycle':
+                spareFrames.push(message.channels);
+                break;
+            case 'call': {
+                if (!REMOTE_METHODS.has(message.method)) {
+                    throw new Error(`serveSimulation: unknown method "${message.method}"`);
+                }
+                const result = Promise.resolve()
+                    .then(() => simulation[message.method](...message.args));
+
+                if (message.id !== undefined) {
+                    result.then(
+                        value => port.postMessage({ type: 'reply', id: message.id, seed: simulation.seed, value }),
+                        error => port.postMessage({ type: 'reply', id: message.id, error: error.message })
+                    );
+                } else {
+                    result.catch(error => console.error(`Simulation ${message.method} failed:`, error));
+                }
+
+                // Always answer a step, even a failed one, so the main thread keeps stepping
+                if (message.method === 'step') {
+                    result.then(postFrame, postFrame);
+                }
+                break;
+            }
+        }
+    };
+}
+
+export class WorkerSimulation {
+    // worker defaults to a new simulation-worker.js; anything with postMessage() and onmessage
+    // works, such as one end of a MessageChannel served by serveSimulation()
+    constructor(width, height, { gravity = 1, seed = Random.randomSeed() } = {}, worker = null) {
+        this.worker = worker || new Worker(new URL('./simulation-worker.js', import.meta.url), { type: 'module' });
+        this.seed = seed >>> 0;
+
+        // Copy of the worker's grid, for painting and reading. Writing to it has no effect.
+        this.grid = new Grid(width, height, { gravity, seed: this.seed });
+        this.frameChannels = null; // arrays of the last frame, handed back once replaced
+
+        this.stepping = false; // a step is running in the worker
+        this.requests = new Map();
+        this.nextRequestId = 1;
+
+        this.worker.onmessage = ({ data: message }) => this.receive(message);
+        this.worker.postMessage({ type: 'init', width, height, options: { gravity, seed: this.seed } });
+    }
+
+    receive(message) {
+        if (message.type === 'frame') {
+            this.installFrame(message);
+        } else if (message.type === 'reply') {
+            const request = this.requests.get(message.id);
+            this.requests.delete(message.id);
+            if (message.error !== undefined) {
+                request.reject(new Error(message.error));
+            } else {
+                this.seed = message.seed;
+                request.resolve(message.value);
+            }
+        }
+    }
+
+    installFrame(message) {
+        this.stepping = false;
+        this.seed = message.seed;
+
+        let grid = this.grid;
+        if (grid.width !== message.width || grid.height !== message.height) {
+            // The worker loaded or resized the scene; a new grid starts out fully dirty
+            grid = this.grid = new Grid(message.width, message.height, {
+                gravity: grid.gravity,
+                seed: this.seed,
+                edges: grid.edges,
+                ambientTemp: grid.ambientTemp
+            });
+            this.frameChannels = null;
+        } else {
+            for (let chunk = 0; chunk < message.dirty.length; chunk++) {
+                if (message.dirty[chunk] === 1) grid.dirty[chunk] = 1;
+            }
+        }
+        grid.awake = message.awake;
+
+        if (this.frameChannels) {
+            const spare = this.frameChannels;
+            this.worker.postMessage({ type: 'recycle', channels: spare },
+                FRAME_CHANNELS.map(key => spare[key].buffer));
+        }
+        for (const key of FRAME_CHANNELS) {
+            grid[key] = message.channels[key];
+        }
+        this.frameChannels = message.channels;
+    }
+
+    call(method, ...args) {
+        this.worker.postMessage({ type: 'call', method, args });
+    }
+
+    request(method, ...args) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'call', method, args, id });
+        });
+    }
+
+    // Steps are turned down (returning false) while the worker is still busy with the last
+    // one, so a slow simulation lowers the tick rate instead of queueing work
+    step(ticks) {
+        if (this.stepping) return false;
+        this.stepping = true;
+        this.call('step', ticks);
+        return true;
+    }
+
+    draw(command) {
+        this.call('draw', command);
+    }
+
+    beginOperation() {
+        this.call('beginOperation');
+    }
+
+    endOperation() {
+        this.call('endOperation');
+    }
+
+    undo() {
+        this.call('undo');
+    }
+
+    redo() {
+        this.call('redo');
+    }
+
+    clear() {
+        this.call('clear');
+    }
+
+    setGravity(gravity) {
+        this.grid.gravity = gravity;
+        this.call('setGravity', gravity);
+    }
+
+    setEdges(edges) {
+        this.grid.setEdges(edges);
+        this.call('setEdges', edges);
+    }
+    
+    setAmbientTemp(temp) {
+        this.grid.ambientTemp = temp;
+        this.call('setAmbientTemp', temp);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.call('setSeed', seed);
+    }
+
+    resample(width, height) {
+        this.call('resample', width, height);
+    }
+
+    resize(width, height, anchor) {
+        this.call('resize', width, height, anchor);
+    }
+
+    save(settings) {
+        return this.request('save', settings);
+    }
+
+    load(bytes) {
+        return this.request('load', bytes);
+    }
+
+    dispose() {
+        if (this.worker.terminate) {
+            this.worker.terminate();
+        } else {
+            this.worker.close();
+        }
+        for (const request of this.requests.values()) {
+            request.reject(new Error('Simulation worker was stopped'));
+        }
+        this.requests.clear();
+    }
+}
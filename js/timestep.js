@@ -0,0 +1,41 @@
+/**
+ * Fixed timestep
+ * Turns frame times into a whole number of simulation ticks at a fixed rate, so the simulation
+ * runs at the same speed whatever the display refresh rate. Time that piles up while the
+ * simulation cannot keep up (or while the page is hidden) is dropped instead of being worked
+ * off in one long burst.
+ */
+
+export class FixedTimestep {
+    constructor({ ticksPerSecond = 60, maxFrameTime = 100 } = {}) {
+        this.maxFrameTime = maxFrameTime; // most milliseconds of ticks run for a single frame
+        this.accumulator = 0;             // milliseconds not yet turned into ticks
+        this.lastTime = null;
+        this.setRate(ticksPerSecond);
+    }
+
+    setRate(ticksPerSecond) {
+        this.ticksPerSecond = ticksPerSecond;
+        this.tickDuration = 1000 / ticksPerSecond;
+    }
+
+    // Start timing afresh, e.g. after a pause
+    reset() {
+        this.accumulator = 0;
+        this.lastTime = null;
+    }
+
+    // Number of ticks due at a frame time in milliseconds. Pass the ticks actually run to
+    // consume(); ticks left unconsumed stay due, up to the frame time limit.
+    advance(time) {
+        if (this.lastTime !== null) {
+            this.accumulator = Math.min(this.accumulator + time - this.lastTime, this.maxFrameTime);
+        }
+        this.lastTime = time;
+        return Math.floor(this.accumulator / this.tickDuration);
+    }
+
+    consume(ticks) {
+        this.accumulator = Math.max(0, this.accumulator - ticks * this.tickDuration);
+    }
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Camera } from '../js/camera.js';
+
+// Compare points made of floating point sums
+function assertNear(actual, expected) {
+    for (const key of Object.keys(expected)) {
+        assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, `${key}: ${actual[key]} != ${expected[key]}`);
+    }
+}
+
+test('a new camera shows the whole world', () => {
+    const camera = new Camera();
+
+    assert.deepEqual(camera.view(200, 100), { x: 0, y: 0, width: 200, height: 100 });
+    assert.deepEqual(camera.toWorld(0.25, 1), { x: 0.25, y: 1 });
+});
+
+test('zooming keeps the point under the cursor in place', () => {
+    const camera = new Camera();
+    camera.zoomAt(0.5, 0.5, 4);
+    const before = camera.toWorld(0.3, 0.6);
+    camera.zoomAt(0.3, 0.6, 2);
+
+    assert.equal(camera.zoom, 8);
+    assertNear(camera.toWorld(0.3, 0.6), before);
+    assertNear(camera.toViewport(before.x, before.y), { u: 0.3, v: 0.6 });
+});
+
+test('the view stays inside the world', () => {
+    const camera = new Camera({ maxZoom: 4 });
+    camera.zoomAt(1, 1, 100);
+
+    assert.equal(camera.zoom, 4);
+    assert.deepEqual(camera.view(400, 200), { x: 300, y: 150, width: 100, height: 50 });
+
+    camera.pan(10, -0.5);
+    assert.deepEqual(camera.view(400, 200), { x: 0, y: 200 - 50, width: 100, height: 50 });
+
+    camera.zoomAt(0, 0, 0.01);
+    assert.equal(camera.zoom, 1);
+    assert.deepEqual(camera.view(400, 200), { x: 0, y: 0, width: 400, height: 200 });
+});
+
+test('panning moves the world with the drag', () => {
+    const camera = new Camera();
+    camera.zoomAt(0.5, 0.5, 2);
+    const grabbed = camera.toWorld(0.5, 0.5);
+    camera.pan(0.1, -0.2);
+
+    assertNear(camera.toViewport(grabbed.x, grabbed.y), { u: 0.6, v: 0.3 });
+});
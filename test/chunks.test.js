@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS, EditHistory } from '../js/engine.js';
+import { createFixture, runTicks, countMaterial } from './helpers.js';
+
+const { SAND, WATER, ICE } = MATERIAL_IDS;
+
+function awakeChunks(grid) {
+    return grid.awakeNext.reduce((total, flag) => total + flag, 0);
+}
+
+test('a settled scene falls asleep', () => {
+    const grid = createFixture([
+        '........',
+        '........',
+        '#ssssss#',
+        '########'
+    ], { chunkSize: 4 });
+    assert.equal(awakeChunks(grid), 2);
+
+    runTicks(grid, 3);
+    assert.equal(awakeChunks(grid), 0);
+});
+
+test('drawing into a sleeping chunk wakes it', () => {
+    const grid = runTicks(createFixture(Array.from({ length: 8 }, () => '........'), { chunkSize: 4 }), 2);
+    assert.equal(awakeChunks(grid), 0);
+
+    grid.set(6, 0, SAND);
+    runTicks(grid, 10);
+    assert.equal(grid.get(6, 7), SAND);
+});
+
+test('particles keep moving through sleeping chunks', () => {
+    const rows = Array.from({ length: 16 }, () => '....');
+    rows[0] = '.s..';
+    const grid = runTicks(createFixture(rows, { chunkSize: 4 }), 20);
+
+    assert.equal(grid.get(1, 15), SAND);
+});
+
+test('removing support across a chunk border wakes the particles above it', () => {
+    const grid = createFixture([
+        '....',
+        '....',
+        '.ss.',
+        '.ss.',
+        '.ss.',
+        '.ss.',
+        '....',
+        '....'
+    ], { chunkSize: 4 });
+    runTicks(grid, 10);
+    const before = grid.get(1, 7);
+
+    // Let the settled column fall by clearing the row it rests on, in the lower chunk
+    grid.set(1, 7, MATERIAL_IDS.EMPTY);
+    grid.set(2, 7, MATERIAL_IDS.EMPTY);
+    runTicks(grid, 10);
+
+    assert.equal(before, SAND);
+    assert.equal(grid.get(1, 7), SAND);
+    assert.equal(countMaterial(grid, SAND), 6);
+});
+
+test('particles waiting on a chance stay awake', () => {
+    // Ice above freezing melts by chance each tick, so its chunk must not fall asleep
+    const grid = createFixture(['#i#', '###'], { chunkSize: 4, temp: 5 });
+    runTicks(grid, 500);
+
+    assert.equal(countMaterial(grid, ICE), 0);
+    assert.equal(countMaterial(grid, WATER), 1);
+});
+
+test('heat wakes the chunk it flows into', () => {
+    const grid = createFixture([
+        '........',
+        '###ooo##',
+        '########'
+    ], { chunkSize: 4 });
+    runTicks(grid, 5);
+
+    // Heat a wall in the left chunk next to oil that is asleep in the right chunk
+    grid.temp[1 * 8 + 3] = 2000;
+    grid.wake(1 * 8 + 3);
+    runTicks(grid, 200);
+    assert.ok(countMaterial(grid, MATERIAL_IDS.OIL) < 3);
+});
+
+test('undo wakes the cells it restores', () => {
+    const grid = runTicks(createFixture(Array.from({ length: 8 }, () => '....'), { chunkSize: 4 }), 2);
+    const history = new EditHistory();
+
+    history.record(grid, () => grid.set(1, 7, SAND));
+    history.record(grid, () => grid.set(1, 7, MATERIAL_IDS.EMPTY));
+    runTicks(grid, 3);
+    assert.equal(awakeChunks(grid), 0);
+
+    history.undo(grid);
+    assert.equal(grid.get(1, 7), SAND);
+    assert.equal(grid.dirty[1], 1);
+    assert.ok(awakeChunks(grid) > 0);
+});
+
+test('only changed chunks are dirty', () => {
+    const grid = runTicks(createFixture([
+        '........',
+        '........',
+        '........',
+        '........'
+    ], { chunkSize: 4 }), 2);
+    grid.dirty.fill(0);
+
+    grid.set(5, 0, SAND);
+    assert.deepEqual([...grid.dirty], [0, 1]);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS, serializeScene, deserializeScene } from '../js/engine.js';
+import { VOID_CELL } from '../js/grid.js';
+import { createFixture, runTicks, toRows, countMaterial } from './helpers.js';
+
+const { SAND, WATER, STEAM } = MATERIAL_IDS;
+
+test('edges are solid by default', () => {
+    const grid = createFixture(['.', 's']);
+
+    assert.deepEqual(grid.edges, { top: 'solid', bottom: 'solid', left: 'solid', right: 'solid' });
+    assert.deepEqual(toRows(runTicks(grid, 5)), ['.', 's']);
+    assert.equal(grid.offset(0, 1, 0, 1), -1);
+});
+
+test('particles falling through a void floor are deleted', () => {
+    const grid = createFixture([
+        '.ss.',
+        '.ss.',
+        '....'
+    ], { edges: { bottom: 'void' } });
+    runTicks(grid, 10);
+
+    assert.equal(countMaterial(grid, SAND), 0);
+    assert.equal(grid.offset(1, 2, 0, 1), VOID_CELL);
+});
+
+test('liquid spills over a void side and drains away', () => {
+    const grid = createFixture([
+        'www.',
+        '####'
+    ], { edges: { right: 'void' } });
+    runTicks(grid, 50);
+
+    assert.equal(countMaterial(grid, WATER), 0);
+});
+
+test('steam rises out through a void ceiling', () => {
+    const grid = createFixture(['~', '.'], { edges: { top: 'void' } });
+    grid.temp[0] = 200;
+    runTicks(grid, 1);
+
+    assert.equal(countMaterial(grid, STEAM), 0);
+});
+
+test('a grain falling through a wrapping floor comes back in at the top', () => {
+    const grid = createFixture([
+        '...',
+        '...',
+        '.s.'
+    ], { edges: { bottom: 'wrap', top: 'wrap' } });
+    runTicks(grid, 1);
+
+    assert.deepEqual(toRows(grid), ['.s.', '...', '...']);
+});
+
+test('a wrapped world keeps flowing without filling up', () => {
+    const rows = Array.from({ length: 12 }, () => '........');
+    rows[0] = 'ssssssss';
+    const grid = createFixture(rows, { chunkSize: 4, edges: { top: 'wrap', bottom: 'wrap' } });
+    runTicks(grid, 30);
+
+    assert.equal(countMaterial(grid, SAND), 8);
+    assert.notDeepEqual(toRows(grid)[11], '........'.replace(/./g, 's'));
+});
+
+test('neighbors, heat and chunk wakes reach across wrapping sides', () => {
+    const grid = createFixture([
+        '#......#',
+        '........'
+    ], { chunkSize: 4, edges: { left: 'wrap', right: 'wrap' } });
+
+    assert.ok(grid.getNeighborIndices(0, 0).includes(7));
+    assert.ok(grid.getNeighborIndices(7, 1).includes(0));
+
+    grid.temp[0] = 300;
+    grid.wake(0);
+    runTicks(grid, 1);
+    assert.ok(grid.temp[7] > 20);
+
+    runTicks(grid, 500);
+    grid.awakeNext.fill(0);
+    grid.set(7, 1, SAND);
+    assert.equal(grid.awakeNext[0], 1, 'the chunk across the wrapping edge wakes');
+});
+
+test('solid sides keep neighbors and heat apart', () => {
+    const grid = createFixture(['#......#']);
+
+    assert.equal(grid.getNeighborIndices(0, 0).includes(7), false);
+
+    grid.temp[0] = 300;
+    grid.wake(0);
+    runTicks(grid, 1);
+    assert.equal(grid.temp[7], 20);
+});
+
+test('edge modes survive resampling and scene files', () => {
+    const grid = createFixture(['s.', '..'], { edges: { left: 'wrap', bottom: 'void' } });
+    const expected = { top: 'solid', bottom: 'void', left: 'wrap', right: 'solid' };
+
+    assert.deepEqual(grid.resample(4, 4).edges, expected);
+    assert.deepEqual(grid.resize(4, 4).edges, expected);
+
+    const { grid: loaded, settings } = deserializeScene(serializeScene(grid, { gravityStrength: 2 }));
+    assert.deepEqual(loaded.edges, expected);
+    assert.deepEqual(settings.edges, expected);
+});
+
+test('unknown edge modes are rejected', () => {
+    const grid = createFixture(['.']);
+
+    assert.throws(() => grid.setEdges({ bottom: 'bouncy' }), /unknown edge mode/);
+    assert.throws(() => grid.setEdges({ middle: 'void' }), /unknown side/);
+});
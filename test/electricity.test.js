@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS, POWERED, SWITCHED_ON } from '../js/engine.js';
+import { LocalSimulation } from '../js/simulation.js';
+import { createFixture, runTicks, countMaterial } from './helpers.js';
+
+const { EMPTY, WATER, ICE, FIRE, OIL, WIRE, SPARK, SWITCH } = MATERIAL_IDS;
+
+function powered(grid, x, y) {
+    return (grid.life[y * grid.width + x] & POWERED) !== 0;
+}
+
+test('a battery powers the wire and heater it touches', () => {
+    const grid = runTicks(createFixture([
+        '..........',
+        'B=====H...',
+        '##########'
+    ], { temp: 20 }), 30);
+
+    assert.ok(powered(grid, 1, 1));
+    assert.ok(powered(grid, 5, 1));
+    assert.ok(powered(grid, 6, 1));
+    assert.ok(grid.temp[1 * grid.width + 6] > 200);
+});
+
+test('cutting a wire unpowers everything past the cut', () => {
+    const grid = runTicks(createFixture([
+        '..........',
+        'B=====H...',
+        '##########'
+    ]), 3);
+
+    grid.set(3, 1, EMPTY);
+    runTicks(grid, 1);
+    assert.ok(powered(grid, 2, 1));
+    assert.ok(!powered(grid, 4, 1));
+    assert.ok(!powered(grid, 6, 1));
+});
+
+test('a switch passes power only while on', () => {
+    const grid = runTicks(createFixture([
+        '..........',
+        'B==/==H...',
+        '##########'
+    ]), 3);
+
+    assert.ok(powered(grid, 2, 1));
+    assert.ok(!powered(grid, 4, 1));
+    grid.toggleSwitches(3, 1);
+    runTicks(grid, 1);
+    assert.ok(powered(grid, 4, 1));
+    assert.ok(powered(grid, 6, 1));
+    grid.toggleSwitches(3, 1);
+    runTicks(grid, 1);
+    assert.ok(!powered(grid, 6, 1));
+});
+
+test('water conducts', () => {
+    const grid = runTicks(createFixture([
+        '#........#',
+        '#B=wwwww=H',
+        '##########'
+    ]), 3);
+
+    assert.ok(powered(grid, 5, 1));
+    assert.ok(powered(grid, 9, 1));
+});
+
+test('a powered cooler freezes the water around it', () => {
+    // Wired to the battery up through the floor of the tank
+    const grid = runTicks(createFixture([
+        '#.......#',
+        '#wwwwwww#',
+        '#wwwcwww#',
+        '####=####',
+        'B====....'
+    ], { temp: 20 }), 300);
+    
+    assert.ok(powered(grid, 4, 2));
+    assert.ok(grid.temp[2 * grid.width + 4] < -30);
+    assert.ok(countMaterial(grid, ICE) > 0);
+    assert.equal(countMaterial(grid, ICE) + countMaterial(grid, WATER), 13);
+});
+
+test('a bare live wire end throws sparks that light what burns', () => {
+    const grid = createFixture([
+        '..........',
+        'B====.ooo.',
+        '##########'
+    ], { temp: 20 });
+    let sparks = 0;
+    let burned = false;
+    for (let tick = 0; tick < 200; tick++) {
+        runTicks(grid, 1);
+        sparks += countMaterial(grid, SPARK);
+        if (countMaterial(grid, FIRE) > 0) burned = true;
+    }
+    
+    assert.ok(sparks > 0);
+    assert.ok(burned);
+    assert.equal(countMaterial(grid, OIL), 0);
+    assert.equal(countMaterial(grid, WIRE), 4);
+});
+
+test('power crosses chunks and keeps far circuits awake', () => {
+    const rows = ['B' + '='.repeat(22) + 'H', '.'.repeat(24), '.'.repeat(24), '.'.repeat(24)];
+    const grid = runTicks(createFixture(rows, { chunkSize: 4, temp: 20 }), 100);
+
+    assert.ok(powered(grid, 23, 0));
+    assert.ok(grid.temp[23] > 200);
+});
+
+test('toggling switches is undone like a drawing', () => {
+    const simulation = new LocalSimulation(6, 3, { seed: 1 });
+    simulation.draw({ shape: 'line', x1: 0, y1: 1, x2: 5, y2: 1, material: SWITCH, thickness: 1 });
+    simulation.draw({ shape: 'toggle', x: 2, y: 1, radius: 1 });
+
+    const on = x => (simulation.grid.life[simulation.grid.width + x] & SWITCHED_ON) !== 0;
+    assert.ok(on(1) && on(2) && on(3));
+    assert.ok(!on(0) && !on(5));
+    simulation.undo();
+    assert.ok(!on(1) && !on(2) && !on(3));
+    simulation.redo();
+    assert.ok(on(1) && on(2) && on(3));
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Grid, MATERIAL_IDS, emitterLife, createPreset, serializeScene, deserializeScene } from '../js/engine.js';
+import { createFixture, runTicks, toRows, countMaterial } from './helpers.js';
+
+const { SAND, WATER, WALL, FAUCET, STEAM } = MATERIAL_IDS;
+
+function awakeChunks(grid) {
+    return grid.awakeNext.reduce((total, flag) => total + flag, 0);
+}
+
+test('emitterLife packs the material and the clamped rate', () => {
+    assert.equal(emitterLife(WATER, 40), (40 << 8) | WATER);
+    assert.equal(emitterLife(WATER, 250) >> 8, 100);
+    assert.equal(emitterLife(WATER, -5) >> 8, 0);
+});
+
+test('a faucet with nothing set emits nothing', () => {
+    const grid = createFixture(['.F.', '...', '...']);
+    runTicks(grid, 20);
+
+    assert.deepEqual(toRows(grid), ['.F.', '...', '...']);
+});
+
+test('a full-rate faucet emits one particle a tick underneath it', () => {
+    const grid = createFixture(['.F.', '...', '...', '...', '...']);
+    grid.set(1, 0, FAUCET, emitterLife(SAND, 100));
+
+    runTicks(grid, 1);
+    assert.equal(grid.get(1, 1), SAND);
+    runTicks(grid, 2);
+    assert.equal(countMaterial(grid, SAND), 3);
+});
+
+test('a faucet of a rising material emits on top', () => {
+    const grid = createFixture(['...', '...', '.F.', '###']);
+    grid.set(1, 2, FAUCET, emitterLife(STEAM, 100));
+    runTicks(grid, 1);
+
+    assert.equal(grid.get(1, 1), STEAM);
+});
+
+test('a boxed-in faucet sleeps', () => {
+    const grid = createFixture([
+        '###',
+        '#F#',
+        '###'
+    ]);
+    grid.set(1, 1, FAUCET, emitterLife(WATER, 100));
+    runTicks(grid, 3);
+
+    assert.equal(countMaterial(grid, WATER), 0);
+    assert.equal(awakeChunks(grid), 0);
+});
+
+test('a drain removes loose particles but not walls', () => {
+    const grid = createFixture([
+        'sww',
+        '#D#',
+        '###'
+    ]);
+    runTicks(grid, 5);
+
+    assert.deepEqual(toRows(grid), ['...', '#D#', '###']);
+});
+
+test('a faucet pouring onto a drain never fills up', () => {
+    const grid = createFixture(['.F.', '...', '...', '.D.', '###']);
+    grid.set(1, 0, FAUCET, emitterLife(WATER, 100));
+    runTicks(grid, 200);
+
+    assert.ok(countMaterial(grid, WATER) <= 6, toRows(grid).join('\n'));
+});
+
+test('faucets keep the material they emit through a save', () => {
+    // Nothing but the faucet uses water, so its id must still make it into the file
+    const grid = createFixture(['.F.', '...']);
+    grid.set(1, 0, FAUCET, emitterLife(WATER, 100));
+    const { grid: loaded } = deserializeScene(serializeScene(grid, {}));
+
+    assert.equal(loaded.life[1], emitterLife(WATER, 100));
+    runTicks(loaded, 1);
+    assert.equal(loaded.get(1, 1), WATER);
+});
+
+test('the waterfall preset settles into a steady flow', () => {
+    const grid = new Grid(100, 70, { seed: 5 });
+    createPreset(grid, 'waterfall', 50, 35);
+
+    runTicks(grid, 600);
+    const flowing = countMaterial(grid, WATER);
+    assert.ok(flowing > 0);
+    runTicks(grid, 600);
+    assert.ok(countMaterial(grid, WATER) < flowing * 1.5);
+    assert.ok(countMaterial(grid, WALL) > 0);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { createFixture, runTicks, countMaterial } from './helpers.js';
+
+const { SAND, WALL, FIRE, TNT, C4, GUNPOWDER, PLANT } = MATERIAL_IDS;
+
+test('TNT past its ignition point blows up, throwing sand and leaving fire', () => {
+    const grid = createFixture([
+        '...............',
+        '......sss......',
+        '......sTs......',
+        '......sss......',
+        '###############'
+    ]);
+    grid.temp[2 * grid.width + 7] = 400;
+    runTicks(grid, 1);
+
+    assert.equal(countMaterial(grid, TNT), 0);
+    assert.ok(countMaterial(grid, FIRE) > 0);
+    const thrown = [...grid.grid.keys()].filter(i => grid.grid[i] === SAND && grid.isFlying(i));
+    assert.ok(thrown.length >= 4, `${thrown.length} grains thrown`);
+    assert.ok(grid.temp[1 * grid.width + 7] > 100);
+});
+
+test('walls stand and shelter what is behind them', () => {
+    const grid = createFixture([
+        '....#s....',
+        '....#s....',
+        '..C.#s....',
+        '....#s....',
+        '##########'
+    ]);
+    grid.detonate(2 * grid.width + 2);
+
+    assert.equal(countMaterial(grid, WALL), 14);
+    assert.equal(countMaterial(grid, C4), 0);
+    for (let y = 0; y < 4; y++) {
+        const i = y * grid.width + 5;
+        assert.equal(grid.grid[i], SAND);
+        assert.ok(!grid.isFlying(i));
+        assert.equal(grid.temp[i], 20);
+    }
+});
+
+test('a blast sets off TNT and C4 in its reach, which set off more', () => {
+    const grid = createFixture([
+        '....................................',
+        '.T.......C..............T...........',
+        '####################################'
+    ]);
+    grid.detonate(1 * grid.width + 1);
+
+    assert.equal(countMaterial(grid, TNT), 0);
+    assert.equal(countMaterial(grid, C4), 0);
+});
+
+test('heat alone does not set off C4', () => {
+    const grid = createFixture(['fff', 'fCf', '###']);
+    grid.temp[4] = 1000;
+    runTicks(grid, 20);
+
+    assert.equal(countMaterial(grid, C4), 1);
+});
+
+test('a gunpowder trail burns out soon after it is lit', () => {
+    const grid = createFixture([
+        '..............................',
+        'fggggggggggggggggggggggggg....',
+        '##############################'
+    ]);
+    runTicks(grid, 10);
+
+    assert.equal(countMaterial(grid, GUNPOWDER), 0);
+});
+
+test('weak materials are destroyed and flammable ones set alight', () => {
+    const grid = createFixture([
+        'ppp..',
+        'p.p..',
+        'ppp..',
+        '#####'
+    ]);
+    grid.explode(1, 1, 4, 4);
+
+    assert.equal(countMaterial(grid, PLANT), 0);
+    assert.ok(countMaterial(grid, FIRE) >= 8);
+    assert.equal(countMaterial(grid, WALL), 5);
+});
+
+test('a blast reaches across wrapping edges, but not solid ones', () => {
+    const rows = ['....................', '....................', '....................'];
+    const wrapped = createFixture(rows, { edges: { left: 'wrap', right: 'wrap' } });
+    const walled = createFixture(rows);
+    wrapped.explode(1, 1, 5, 2);
+    walled.explode(1, 1, 5, 2);
+
+    assert.ok(wrapped.temp[1 * 20 + 18] > 100, `air across the edge at ${wrapped.temp[1 * 20 + 18]}`);
+    assert.equal(walled.temp[1 * 20 + 18], 20);
+    assert.equal(wrapped.temp[1 * 20 + 10], 20);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { createFixture, runTicks, countMaterial } from './helpers.js';
+
+const { SMOKE, STEAM, METHANE, HYDROGEN } = MATERIAL_IDS;
+
+// Rows of a sealed box of the given inner size, filled by fill(row) (padded with air)
+function sealedBox(width, height, fill) {
+    const rows = ['#'.repeat(width + 2)];
+    for (let y = 0; y < height; y++) {
+        rows.push('#' + fill(y).padEnd(width, '.') + '#');
+    }
+    rows.push('#'.repeat(width + 2));
+    return rows;
+}
+
+// Average row of the particles of a material
+function meanRow(grid, id) {
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < grid.grid.length; i++) {
+        if (grid.grid[i] === id) {
+            sum += Math.floor(i / grid.width);
+            count++;
+        }
+    }
+    return sum / count;
+}
+
+test('burning gives off smoke, which fades away', () => {
+    const rows = Array.from({ length: 30 }, () => '....................');
+    rows[27] = 'pppppppppppppppppppp';
+    rows[28] = 'ffffffffffffffffffff';
+    rows[29] = '####################';
+    const grid = runTicks(createFixture(rows), 20);
+
+    assert.ok(countMaterial(grid, SMOKE) > 10);
+    assert.equal(countMaterial(grid, STEAM), 0);
+    runTicks(grid, 300);
+    assert.equal(countMaterial(grid, SMOKE), 0);
+});
+
+test('the lighter a gas, the faster it rises', () => {
+    const rows = Array.from({ length: 40 }, () => '.....');
+    rows[39] = '.h.m.';
+    const grid = runTicks(createFixture(rows), 20);
+
+    assert.ok(meanRow(grid, HYDROGEN) < meanRow(grid, SMOKE) - 5);
+    assert.ok(meanRow(grid, SMOKE) < 39);
+});
+
+test('a lone gas particle keeps rising until it reaches the ceiling', () => {
+    const rows = Array.from({ length: 60 }, () => '.'.repeat(40));
+    rows[55] = '.'.repeat(20) + 'M' + '.'.repeat(19);
+    const grid = runTicks(createFixture(rows), 600);
+    
+    // Give or take a step of diffusion down from it
+    assert.ok(meanRow(grid, METHANE) <= 1, `stopped at row ${meanRow(grid, METHANE)}`);
+});
+
+test('a lighter gas rises through a heavier one', () => {
+    const grid = runTicks(createFixture(sealedBox(12, 10, y => y < 5 ? 'MMMMMMMMMMMM' : 'hhhhhhhhhhhh')), 600);
+
+    assert.equal(countMaterial(grid, METHANE), 60);
+    assert.equal(countMaterial(grid, HYDROGEN), 60);
+    assert.ok(meanRow(grid, HYDROGEN) < meanRow(grid, METHANE) - 2);
+});
+
+test('gas spreads out to fill a closed container', () => {
+    const grid = runTicks(createFixture(sealedBox(18, 10, y => y >= 7 ? 'hhhhhhhhhhhhhhhhhh' : '')), 400);
+
+    assert.equal(countMaterial(grid, HYDROGEN), 54);
+    let filledRows = 0;
+    for (let y = 1; y <= 10; y++) {
+        let count = 0;
+        for (let x = 1; x <= 18; x++) {
+            if (grid.get(x, y) === HYDROGEN) count++;
+        }
+        assert.ok(count < 18, `row ${y} is packed full`);
+        if (count > 0) filledRows++;
+    }
+    assert.ok(filledRows >= 7, `gas reached ${filledRows} rows`);
+});
+
+test('gas packed in on every side lets its chunks sleep', () => {
+    const grid = runTicks(createFixture(sealedBox(10, 6, () => 'MMMMMMMMMM'), { chunkSize: 4 }), 20);
+    
+    assert.equal(grid.awakeNext.reduce((total, flag) => total + flag, 0), 0);
+    assert.equal(countMaterial(grid, METHANE), 60);
+});
+
+test('a methane cloud burns once lit', () => {
+    const grid = createFixture(sealedBox(18, 10, y => y >= 3 && y <= 7 ? '....MMMMMMMM' : y === 9 ? 'f' : ''));
+    runTicks(grid, 60);
+
+    assert.ok(countMaterial(grid, METHANE) < 10);
+});
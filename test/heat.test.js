@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Grid, MATERIAL_IDS, registerMaterial, serializeScene, deserializeScene } from '../js/engine.js';
+import { createFixture, runTicks, countMaterial } from './helpers.js';
+
+const { WATER, ICE, SAND, WALL } = MATERIAL_IDS;
+
+// Total heat held by the cells, by each cell's heat capacity
+function totalHeat(grid) {
+    let heat = 0;
+    for (let i = 0; i < grid.grid.length; i++) {
+        heat += grid.properties[grid.grid[i]].heatCapacity * grid.temp[i];
+    }
+    return heat;
+}
+
+test('heat exchange between particles conserves energy', () => {
+    const grid = createFixture(['####', '#ws#', '####'], { temp: 20 });
+    grid.temp[1 * 4 + 1] = 100;
+    grid.temp[1 * 4 + 2] = 0;
+    const before = totalHeat(grid);
+    runTicks(grid, 100);
+
+    assert.ok(Math.abs(totalHeat(grid) - before) < 0.01 * before);
+});
+
+test('particles even out at the heat-capacity weighted mean', () => {
+    const grid = createFixture(['ws'], { temp: 0 });
+    grid.temp[0] = 100;
+    runTicks(grid, 200);
+
+    const water = grid.properties[WATER].heatCapacity;
+    const sand = grid.properties[SAND].heatCapacity;
+    const expected = 100 * water / (water + sand);
+    assert.ok(Math.abs(grid.temp[0] - expected) < 1, `water at ${grid.temp[0]}`);
+    assert.ok(Math.abs(grid.temp[1] - expected) < 1, `sand at ${grid.temp[1]}`);
+});
+
+test('air insulates', () => {
+    const touching = createFixture(['##..'], { temp: 20 });
+    const apart = createFixture(['#.#.'], { temp: 20 });
+    touching.temp[0] = apart.temp[0] = 500;
+    runTicks(touching, 20);
+    runTicks(apart, 20);
+
+    assert.ok(touching.temp[1] > 100);
+    assert.ok(apart.temp[2] < touching.temp[1] / 2, `heated to ${apart.temp[2]} through the air`);
+});
+
+test('a hot particle cools to the ambient temperature through the air', () => {
+    const grid = createFixture(['.....', '..s..', '.....'], { temp: 300 });
+    runTicks(grid, 2000);
+    
+    // The sand has fallen to the floor by now
+    const i = grid.grid.indexOf(SAND);
+    assert.ok(Math.abs(grid.temp[i] - 20) < 2, `still at ${grid.temp[i]}`);
+});
+
+test('a cold ambient temperature freezes water', () => {
+    // The water spreads out over the floor before it freezes, so the air checked is a row clear
+    // of wherever it ends up
+    const grid = createFixture(['.....', '.....', '.www.', '#####'], { temp: 20 });
+    grid.setAmbientTemp(-40);
+    runTicks(grid, 3000);
+
+    assert.equal(countMaterial(grid, WATER), 0);
+    assert.equal(countMaterial(grid, ICE), 3);
+    assert.ok(Math.abs(grid.temp[0] + 40) < 1, `air at ${grid.temp[0]}`);
+});
+
+test('the ambient temperature survives resampling and scene files', () => {
+    const grid = new Grid(10, 10, { ambientTemp: 35 });
+
+    assert.equal(grid.temp[0], 35);
+    assert.equal(grid.resample(5, 5).ambientTemp, 35);
+    assert.equal(grid.resize(20, 10).temp[0], 35);
+
+    const { grid: loaded, settings } = deserializeScene(serializeScene(grid, {}));
+    assert.equal(loaded.ambientTemp, 35);
+    assert.equal(settings.ambientTemp, 35);
+    assert.throws(() => grid.setAmbientTemp(NaN), /setAmbientTemp/);
+});
+
+test('drains take ice but leave walls', () => {
+    const grid = createFixture(['i#', 'D.'], { temp: -20 });
+    grid.setAmbientTemp(-20);
+    runTicks(grid, 1);
+
+    assert.equal(countMaterial(grid, ICE), 0);
+    assert.equal(countMaterial(grid, WALL), 1);
+});
+
+test('materials need a positive heat capacity', () => {
+    assert.throws(() => registerMaterial({ name: 'VACUUM_TEST', heatCapacity: 0 }), /heat capacity/);
+});
+
+test('a grid rebuilds its material tables only when the registry changes', () => {
+    const grid = runTicks(createFixture(['...', '...', '...', '###'], { temp: 20 }), 1);
+    const heatShares = grid.heatShares.slice();
+    grid.heatShares.fill(0); // a rebuild would fill them in again
+    runTicks(grid, 1);
+    assert.equal(grid.heatShares[WALL * 256 + WALL], 0);
+
+    const id = registerMaterial({ name: 'GRAVEL_TEST', behavior: 'powder', density: 3, conductivity: 0.3 });
+    grid.set(1, 0, id);
+    runTicks(grid, 3);
+    assert.equal(grid.get(1, 2), id);
+    assert.ok(grid.heatShares[id * 256 + WALL] > 0);
+    assert.equal(grid.heatShares[WALL * 256 + WALL], heatShares[WALL * 256 + WALL]);
+});
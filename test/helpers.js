@@ -0,0 +1,109 @@
+/**
+ * Test fixtures
+ * Small grids drawn as rows of characters, plus helpers for inspecting them after a run.
+ */
+
+import { Grid, MATERIAL_IDS } from '../js/engine.js';
+
+// Fixture character -> material name
+const LEGEND = {
+    '.': 'EMPTY',
+    's': 'SAND',
+    'w': 'WATER',
+    '#': 'WALL',
+    'f': 'FIRE',
+    'o': 'OIL',
+    'p': 'PLANT',
+    'a': 'ACID',
+    'i': 'ICE',
+    '~': 'STEAM',
+    'F': 'FAUCET',
+    'D': 'DRAIN',
+    'g': 'GUNPOWDER',
+    'T': 'TNT',
+    'C': 'C4',
+    'm': 'SMOKE',
+    'M': 'METHANE',
+    'h': 'HYDROGEN',
+    '=': 'WIRE',
+    'B': 'BATTERY',
+    '/': 'SWITCH',
+    'H': 'HEATER',
+    'c': 'COOLER',
+    '*': 'SPARK'
+};
+
+const SYMBOLS = Object.fromEntries(
+    Object.entries(LEGEND).map(([symbol, name]) => [MATERIAL_IDS[name], symbol]));
+
+// Build a grid from equal-length rows, e.g. ['.s.', '###']. If temp is given, every particle
+// starts at that temperature instead of its material's spawn temperature.
+export function createFixture(rows, { seed = 1, gravity = 1, chunkSize, temp, edges } = {}) {
+    const grid = new Grid(rows[0].length, rows.length, { seed, gravity, chunkSize, edges });
+
+    rows.forEach((row, y) => {
+        if (row.length !== grid.width) {
+            throw new Error(`Fixture row ${y} is ${row.length} wide, expected ${grid.width}`);
+        }
+        for (let x = 0; x < row.length; x++) {
+            const name = LEGEND[row[x]];
+            if (name === undefined) {
+                throw new Error(`Unknown fixture symbol "${row[x]}"`);
+            }
+            if (name === 'EMPTY') continue;
+
+            grid.set(x, y, MATERIAL_IDS[name]);
+            if (temp !== undefined) {
+                grid.temp[y * grid.width + x] = temp;
+            }
+        }
+    });
+
+    return grid;
+}
+
+export function runTicks(grid, ticks) {
+    for (let tick = 0; tick < ticks; tick++) {
+        grid.update();
+    }
+    return grid;
+}
+
+// The grid drawn back as fixture rows, for readable assertion messages
+export function toRows(grid) {
+    const rows = [];
+    for (let y = 0; y < grid.height; y++) {
+        let row = '';
+        for (let x = 0; x < grid.width; x++) {
+            row += SYMBOLS[grid.get(x, y)] || '?';
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+export function countMaterial(grid, id) {
+    let count = 0;
+    for (let i = 0; i < grid.grid.length; i++) {
+        if (grid.grid[i] === id) count++;
+    }
+    return count;
+}
+
+// Material name -> number of cells, for every material present
+export function census(grid) {
+    const counts = {};
+    for (let i = 0; i < grid.grid.length; i++) {
+        const name = grid.properties[grid.grid[i]].name;
+        counts[name] = (counts[name] || 0) + 1;
+    }
+    return counts;
+}
+
+// Topmost row holding the given material in a column, or grid.height if there is none
+export function surfaceRow(grid, x, id) {
+    for (let y = 0; y < grid.height; y++) {
+        if (grid.get(x, y) === id) return y;
+    }
+    return grid.height;
+}
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { createFixture, runTicks, toRows, countMaterial, census, surfaceRow } from './helpers.js';
+
+const { WATER, OIL, ACID, SAND } = MATERIAL_IDS;
+
+test('water spreads out to a level surface', () => {
+    const grid = createFixture([
+        '#wwww..............#',
+        '#wwww..............#',
+        '#wwww..............#',
+        '#wwww..............#',
+        '#wwww..............#',
+        '#wwww..............#',
+        '#wwww..............#',
+        '#wwww..............#',
+        '####################'
+    ]);
+    runTicks(grid, 400);
+
+    const surfaces = [];
+    for (let x = 1; x < grid.width - 1; x++) {
+        surfaces.push(surfaceRow(grid, x, WATER));
+    }
+    assert.ok(Math.max(...surfaces) - Math.min(...surfaces) <= 1,
+        `surface is uneven:\n${toRows(grid).join('\n')}`);
+    assert.equal(countMaterial(grid, WATER), 32);
+});
+
+test('water levels out across communicating vessels', () => {
+    // A full left arm joined to an empty right one under a wall
+    const rows = [];
+    for (let y = 0; y < 14; y++) rows.push(y < 2 ? '#...#####...#' : '#www#####...#');
+    for (let y = 14; y < 19; y++) rows.push('#wwwwwwwwwww#');
+    rows.push('#############');
+    const grid = createFixture(rows);
+    const water = countMaterial(grid, WATER);
+    runTicks(grid, 200);
+    
+    assert.ok(Math.abs(surfaceRow(grid, 2, WATER) - surfaceRow(grid, 10, WATER)) <= 1,
+        `levels differ:\n${toRows(grid).join('\n')}`);
+    assert.equal(countMaterial(grid, WATER), water);
+    assert.ok(grid.awakeNext.every(chunk => chunk === 0), 'still moving once level');
+});
+
+test('runny liquids spread faster than viscous ones', () => {
+    const width = (grid, id) => {
+        const columns = [];
+        for (let i = 0; i < grid.grid.length; i++) {
+            if (grid.grid[i] === id) columns.push(i % grid.width);
+        }
+        return Math.max(...columns) - Math.min(...columns) + 1;
+    };
+    const spread = symbol => {
+        const rows = Array.from({ length: 6 }, () => '.'.repeat(19) + symbol.repeat(2) + '.'.repeat(19));
+        rows.push('#'.repeat(40));
+        return runTicks(createFixture(rows), 10);
+    };
+    
+    assert.ok(width(spread('w'), WATER) > width(spread('o'), OIL) + 10);
+});
+
+test('oil floats on water', () => {
+    // The lighter oil starts underneath and has to rise through the water
+    const grid = runTicks(createFixture([
+        '#wwww#',
+        '#wwww#',
+        '#oooo#',
+        '#oooo#',
+        '######'
+    ]), 300);
+
+    assert.deepEqual(toRows(grid), [
+        '#oooo#',
+        '#oooo#',
+        '#wwww#',
+        '#wwww#',
+        '######'
+    ]);
+});
+
+test('liquids settle in density order', () => {
+    const grid = createFixture([
+        '#oooo#',
+        '#wwww#',
+        '#ssss#',
+        '#....#',
+        '#....#',
+        '#....#',
+        '######'
+    ]);
+    const before = census(grid);
+    runTicks(grid, 300);
+
+    assert.deepEqual(toRows(grid).slice(3, 6), ['#oooo#', '#wwww#', '#ssss#']);
+    assert.deepEqual(census(grid), before);
+});
+
+test('acid eats through sand', () => {
+    const grid = createFixture([
+        '#aaa#',
+        '#sss#',
+        '#sss#',
+        '#####'
+    ]);
+    runTicks(grid, 200);
+
+    assert.ok(countMaterial(grid, SAND) < 6, `sand survived:\n${toRows(grid).join('\n')}`);
+    assert.ok(grid.reactionCounts['acid dissolves'] > 0);
+});
+
+test('acid runs out after its lifespan', () => {
+    const grid = createFixture([
+        '.a.',
+        '...'
+    ]);
+    runTicks(grid, grid.properties[ACID].lifespan + 1);
+
+    assert.equal(countMaterial(grid, ACID), 0);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { createFixture, runTicks, countMaterial } from './helpers.js';
+
+const { WATER, ICE, STEAM, OIL, PLANT } = MATERIAL_IDS;
+
+test('ice melts above freezing', () => {
+    const grid = runTicks(createFixture(['.i.'], { temp: 20 }), 100);
+
+    assert.equal(countMaterial(grid, ICE), 0);
+    assert.equal(countMaterial(grid, WATER), 1);
+});
+
+test('ice stays frozen below freezing', () => {
+    const grid = runTicks(createFixture(['.i.'], { temp: -20 }), 100);
+
+    assert.equal(countMaterial(grid, ICE), 1);
+});
+
+test('water freezes below 0 and stays liquid just above it', () => {
+    const cold = runTicks(createFixture(['#w#', '###'], { temp: -20 }), 200);
+    const cool = runTicks(createFixture(['#w#', '###'], { temp: 5 }), 200);
+
+    assert.equal(countMaterial(cold, ICE), 1);
+    assert.equal(countMaterial(cool, WATER), 1);
+});
+
+test('water boils above 99 and not below', () => {
+    const hot = runTicks(createFixture(['...', '#w#', '###'], { temp: 150 }), 60);
+    const warm = runTicks(createFixture(['...', '#w#', '###'], { temp: 90 }), 60);
+
+    assert.equal(countMaterial(hot, WATER), 0);
+    assert.equal(countMaterial(hot, STEAM), 1);
+    assert.equal(countMaterial(warm, WATER), 1);
+});
+
+test('moving water still boils', () => {
+    const grid = runTicks(createFixture(['.....', '.....', '.www.', '#####'], { temp: 150 }), 60);
+
+    assert.equal(countMaterial(grid, WATER), 0);
+    assert.equal(countMaterial(grid, STEAM), 3);
+});
+
+test('steam condenses below 90 and never gains mass', () => {
+    // Each steam particle condenses into one of water, a share of them each tick
+    const grid = runTicks(createFixture([
+        '~~~~~~~~~~~~~~~~~~~~',
+        '....................'
+    ], { temp: 50 }), 1);
+
+    const water = countMaterial(grid, WATER);
+    assert.ok(water > 0 && water < 20, `expected some of the steam to condense, got ${water}`);
+    assert.equal(countMaterial(grid, STEAM) + water, 20);
+
+    runTicks(grid, 49);
+    assert.equal(countMaterial(grid, STEAM), 0);
+    assert.equal(countMaterial(grid, WATER), 20);
+});
+
+test('hot steam stays steam', () => {
+    const grid = runTicks(createFixture([
+        '.....',
+        '.....',
+        '.~~~.'
+    ], { temp: 150 }), 20);
+
+    assert.equal(countMaterial(grid, STEAM), 3);
+    assert.equal(countMaterial(grid, WATER), 0);
+});
+
+test('oil ignites above its flash point', () => {
+    const hot = runTicks(createFixture(['...', '#o#', '###'], { temp: 300 }), 20);
+    const warm = runTicks(createFixture(['...', '#o#', '###'], { temp: 200 }), 20);
+
+    assert.equal(countMaterial(hot, OIL), 0);
+    assert.equal(countMaterial(warm, OIL), 1);
+});
+
+test('plants catch fire when hot', () => {
+    const grid = runTicks(createFixture(['ppp'], { temp: 300 }), 20);
+
+    assert.ok(countMaterial(grid, PLANT) < 3);
+});
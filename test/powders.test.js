@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { createFixture, runTicks, toRows, countMaterial, census } from './helpers.js';
+
+const { SAND, WALL } = MATERIAL_IDS;
+
+test('sand falls until it rests on the floor', () => {
+    const grid = runTicks(createFixture([
+        '..s..',
+        '.....',
+        '.....',
+        '.....'
+    ]), 10);
+
+    assert.deepEqual(toRows(grid), [
+        '.....',
+        '.....',
+        '.....',
+        '..s..'
+    ]);
+});
+
+test('sand piles into a slope no steeper than one cell per column', () => {
+    const rows = Array.from({ length: 16 }, (_, y) => y < 8 ? '.......ssss.......' : '..................');
+    const grid = runTicks(createFixture(rows), 200);
+
+    // A settled grain has something under it and on both lower diagonals
+    for (let y = 0; y < grid.height - 1; y++) {
+        for (let x = 0; x < grid.width; x++) {
+            if (grid.get(x, y) !== SAND) continue;
+            for (const dx of [-1, 0, 1]) {
+                const below = grid.get(x + dx, y + 1);
+                assert.notEqual(below, MATERIAL_IDS.EMPTY,
+                    `grain at ${x},${y} can still slide:\n${toRows(grid).join('\n')}`);
+            }
+        }
+    }
+    assert.equal(countMaterial(grid, SAND), 32);
+});
+
+test('sand sinks through water and keeps both masses', () => {
+    const grid = createFixture([
+        '#ssss#',
+        '#wwww#',
+        '#wwww#',
+        '######'
+    ]);
+    const before = census(grid);
+    runTicks(grid, 100);
+
+    assert.deepEqual(toRows(grid).slice(1, 3), ['#wwww#', '#ssss#']);
+    assert.deepEqual(census(grid), before);
+});
+
+test('sand does not displace walls', () => {
+    const grid = runTicks(createFixture([
+        's',
+        '#',
+        '.'
+    ]), 10);
+
+    assert.deepEqual(toRows(grid), ['s', '#', '.']);
+    assert.equal(countMaterial(grid, WALL), 1);
+});
+
+test('stronger gravity moves a grain several cells per tick', () => {
+    const grid = runTicks(createFixture([
+        's',
+        '.',
+        '.',
+        '.',
+        '.'
+    ], { gravity: 3 }), 1);
+
+    assert.equal(grid.get(0, 3), SAND);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { createFixture, runTicks, countMaterial } from './helpers.js';
+
+const { FIRE, STEAM, WALL, PLANT, SAND } = MATERIAL_IDS;
+
+test('water puts out fire and turns it to steam', () => {
+    const grid = runTicks(createFixture([
+        '#fff#',
+        '#www#',
+        '#####'
+    ]), 5);
+
+    assert.ok(grid.reactionCounts['water extinguishes fire'] > 0);
+    assert.ok(countMaterial(grid, STEAM) > 0);
+    assert.ok(countMaterial(grid, FIRE) < 3);
+});
+
+test('fire spreads through flammable material', () => {
+    const grid = runTicks(createFixture([
+        '..........',
+        'fppppppppp',
+        '##########'
+    ]), 150);
+
+    assert.ok(countMaterial(grid, PLANT) < 9);
+    assert.ok(grid.reactionCounts['fire spreads to flammables'] > 0);
+});
+
+test('fire burns out without fuel', () => {
+    const grid = createFixture([
+        '...',
+        '...',
+        '.f.'
+    ]);
+    runTicks(grid, grid.properties[FIRE].lifespan + 1);
+    assert.equal(countMaterial(grid, FIRE), 0);
+});
+
+test('walls resist acid better than sand', () => {
+    // Deep enough that the acid cannot eat all the sand before the walls catch up with it
+    const sand = createFixture(['#aaaa#', '#ssss#', '#ssss#', '#ssss#', '######']);
+    const wall = createFixture(['#aaaa#', '######', '######', '######', '######']);
+    const sandBefore = countMaterial(sand, SAND);
+    const wallBefore = countMaterial(wall, WALL);
+    runTicks(sand, 100);
+    runTicks(wall, 100);
+
+    const sandLost = sandBefore - countMaterial(sand, SAND);
+    const wallLost = wallBefore - countMaterial(wall, WALL);
+    assert.ok(sandLost > wallLost, `sand lost ${sandLost}, walls lost ${wallLost}`);
+});
+
+test('fire heats its neighbours', () => {
+    const grid = createFixture([
+        '###',
+        '#f#',
+        '###'
+    ]);
+    runTicks(grid, 1);
+
+    assert.ok(grid.temp[0] > 20);
+});
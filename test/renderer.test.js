@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HEAT_SCALE, heatColor } from '../js/renderer.js';
+
+function rgb(hexColor) {
+    return [1, 3, 5].map(start => parseInt(hexColor.slice(start, start + 2), 16));
+}
+
+test('the heatmap hits each color of its scale at that temperature', () => {
+    for (const { temp, color } of HEAT_SCALE) {
+        assert.deepEqual(heatColor(temp), rgb(color), `at ${temp}°C`);
+    }
+});
+
+test('the heatmap blends between stops and clamps past the ends', () => {
+    const [from, to] = HEAT_SCALE.slice(2, 4);
+    const middle = heatColor((from.temp + to.temp) / 2);
+    rgb(from.color).forEach((channel, k) => {
+        assert.ok(Math.abs(middle[k] - (channel + rgb(to.color)[k]) / 2) <= 1);
+    });
+
+    assert.deepEqual(heatColor(-1000), rgb(HEAT_SCALE[0].color));
+    assert.deepEqual(heatColor(1e6), rgb(HEAT_SCALE[HEAT_SCALE.length - 1].color));
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { LocalSimulation } from '../js/simulation.js';
+import { createFixture, toRows, runTicks } from './helpers.js';
+
+test('upscaling repeats each cell', () => {
+    const grid = createFixture([
+        's.',
+        '#w'
+    ]);
+    const resized = grid.resample(4, 4);
+
+    assert.deepEqual(toRows(resized), [
+        'ss..',
+        'ss..',
+        '##ww',
+        '##ww'
+    ]);
+});
+
+test('downscaling keeps the nearest cells', () => {
+    const grid = createFixture([
+        'ss..',
+        'ss..',
+        '##ww',
+        '##ww'
+    ]);
+
+    assert.deepEqual(toRows(grid.resample(2, 2)), ['s.', '#w']);
+});
+
+test('temperature, life and shade move with the particles', () => {
+    const grid = createFixture(['.f', '.w'], { temp: 300 });
+    const fireIndex = 1; // (1, 0)
+    const resized = grid.resample(4, 4);
+
+    for (const [x, y] of [[2, 0], [3, 1]]) {
+        const i = y * 4 + x;
+        assert.equal(resized.grid[i], MATERIAL_IDS.FIRE);
+        assert.equal(resized.temp[i], grid.temp[fireIndex]);
+        assert.equal(resized.life[i], grid.life[fireIndex]);
+        assert.equal(resized.shade[i], grid.shade[fireIndex]);
+    }
+    assert.equal(resized.temp[0], 20);
+});
+
+test('a resampled grid keeps its settings and random sequence', () => {
+    const grid = runTicks(createFixture(['.s.', '...'], { seed: 11, gravity: 3 }), 5);
+    const resized = grid.resample(6, 4);
+
+    assert.equal(resized.gravity, 3);
+    assert.equal(resized.random.seed, 11);
+    assert.equal(resized.random.next(), grid.random.next());
+});
+
+test('resampling a simulation keeps its scene and gravity', () => {
+    const simulation = new LocalSimulation(40, 20, { gravity: 4, seed: 2 });
+    simulation.draw({ shape: 'rect', x1: 0, y1: 19, x2: 39, y2: 19, material: MATERIAL_IDS.WALL, filled: true });
+    simulation.resample(20, 10);
+
+    assert.equal(simulation.grid.width, 20);
+    assert.equal(simulation.grid.gravity, 4);
+    assert.equal(toRows(simulation.grid)[9], '####################');
+    assert.equal(simulation.history.canUndo(), false);
+});
+
+test('growing the world keeps the scene on the floor, centered', () => {
+    const grid = createFixture([
+        '.s',
+        '##'
+    ]);
+
+    assert.deepEqual(toRows(grid.resize(4, 3)), [
+        '....',
+        '..s.',
+        '.##.'
+    ]);
+});
+
+test('shrinking the world cuts off the cells outside it', () => {
+    const grid = createFixture([
+        'w...',
+        '.ss.',
+        '####'
+    ]);
+
+    assert.deepEqual(toRows(grid.resize(2, 2)), ['ss', '##']);
+    assert.deepEqual(toRows(grid.resize(2, 2, { anchorX: 0, anchorY: 0 })), ['w.', '.s']);
+});
+
+test('resizing moves temperature, life and shade with the particles', () => {
+    const grid = createFixture(['f.', '..'], { temp: 300 });
+    const resized = grid.resize(3, 3, { anchorX: 1, anchorY: 1 });
+    const i = 1 * 3 + 1;
+
+    assert.equal(resized.grid[i], MATERIAL_IDS.FIRE);
+    assert.equal(resized.temp[i], grid.temp[0]);
+    assert.equal(resized.life[i], grid.life[0]);
+    assert.equal(resized.shade[i], grid.shade[0]);
+    assert.equal(resized.temp[0], 20);
+    assert.equal(resized.random.next(), grid.random.next());
+});
+
+test('resizing a simulation clears its undo history', () => {
+    const simulation = new LocalSimulation(10, 5, { gravity: 2, seed: 3 });
+    simulation.draw({ shape: 'rect', x1: 0, y1: 4, x2: 9, y2: 4, material: MATERIAL_IDS.WALL, filled: true });
+    simulation.resize(14, 8);
+
+    assert.equal(simulation.grid.width, 14);
+    assert.equal(simulation.grid.gravity, 2);
+    assert.equal(toRows(simulation.grid)[7], '..##########..');
+    assert.equal(simulation.history.canUndo(), false);
+});
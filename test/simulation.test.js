@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { LocalSimulation, WorkerSimulation, serveSimulation } from '../js/simulation.js';
+import { countMaterial } from './helpers.js';
+
+const { SAND, WALL } = MATERIAL_IDS;
+
+// A WorkerSimulation talking to a simulation served on the other end of a MessageChannel
+function createWorkerSimulation(width, height, options) {
+    const { port1, port2 } = new MessageChannel();
+    serveSimulation(port2);
+    return new WorkerSimulation(width, height, options, port1);
+}
+
+// Step a worker simulation and wait for the frame to come back
+function stepAndWait(simulation, ticks) {
+    simulation.step(ticks);
+    return new Promise(resolve => {
+        const poll = () => simulation.stepping ? setImmediate(poll) : resolve();
+        poll();
+    });
+}
+
+test('draw commands are undone as one operation', () => {
+    const simulation = new LocalSimulation(20, 10, { seed: 1 });
+
+    simulation.beginOperation();
+    simulation.draw({ shape: 'line', x1: 2, y1: 2, x2: 17, y2: 2, material: WALL, thickness: 0 });
+    simulation.draw({ shape: 'rect', x1: 2, y1: 5, x2: 6, y2: 8, material: WALL, filled: true });
+    simulation.endOperation();
+    assert.equal(countMaterial(simulation.grid, WALL), 16 + 20);
+
+    simulation.undo();
+    assert.equal(countMaterial(simulation.grid, WALL), 0);
+    simulation.redo();
+    assert.equal(countMaterial(simulation.grid, WALL), 36);
+});
+
+test('clearing a simulation clears its undo history', () => {
+    const simulation = new LocalSimulation(20, 10, { seed: 1 });
+    simulation.draw({ shape: 'line', x1: 2, y1: 2, x2: 17, y2: 2, material: WALL, thickness: 0 });
+    simulation.undo();
+    simulation.clear();
+    
+    assert.equal(simulation.history.canUndo(), false);
+    assert.equal(simulation.history.canRedo(), false);
+    simulation.redo();
+    assert.equal(countMaterial(simulation.grid, WALL), 0);
+});
+
+test('unknown draw commands are rejected', () => {
+    const simulation = new LocalSimulation(10, 10);
+
+    assert.throws(() => simulation.draw({ shape: 'star' }), /Unknown draw command "star"/);
+});
+
+test('a worker simulation runs the same as a local one', async () => {
+    const local = new LocalSimulation(30, 20, { seed: 9 });
+    const remote = createWorkerSimulation(30, 20, { seed: 9 });
+    const command = { shape: 'circle', x: 15, y: 4, material: SAND, radius: 3, probability: 0.7 };
+
+    local.draw(command);
+    remote.draw(command);
+    for (let tick = 0; tick < 20; tick++) {
+        local.step(1);
+        await stepAndWait(remote, 1);
+    }
+
+    assert.deepEqual(remote.grid.grid, local.grid.grid);
+    assert.deepEqual(remote.grid.temp, local.grid.temp);
+    assert.deepEqual(remote.grid.awake, local.grid.awake);
+    remote.dispose();
+});
+
+test('a worker simulation skips steps while one is running', async () => {
+    const remote = createWorkerSimulation(10, 10, { seed: 1 });
+    remote.draw({ shape: 'circle', x: 5, y: 0, material: SAND, radius: 0, probability: 1 });
+
+    remote.step(1);
+    remote.step(1);
+    await stepAndWait(remote, 0);
+    assert.equal(remote.grid.get(5, 1), SAND);
+    remote.dispose();
+});
+
+test('scenes move between local and worker simulations', async () => {
+    const local = new LocalSimulation(16, 12, { seed: 3 });
+    local.draw({ shape: 'preset', preset: 'container', x: 8, y: 6 });
+    const bytes = await local.save({ simSpeed: 2 });
+
+    const remote = createWorkerSimulation(8, 8);
+    const settings = await remote.load(bytes);
+    await stepAndWait(remote, 0);
+
+    assert.deepEqual(settings, {
+        simSpeed: 2,
+        edges: { top: 'solid', bottom: 'solid', left: 'solid', right: 'solid' },
+        ambientTemp: 20
+    });
+    assert.equal(remote.seed, 3);
+    assert.equal(remote.grid.width, 16);
+    assert.deepEqual(remote.grid.grid, local.grid.grid);
+    await assert.rejects(remote.load(new Uint8Array(2)), /truncated/);
+    remote.dispose();
+});
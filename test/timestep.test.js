@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FixedTimestep } from '../js/timestep.js';
+
+// Run frames at a refresh rate for a number of seconds, returning the ticks run
+function runFrames(timestep, framesPerSecond, seconds) {
+    let ticks = 0;
+    for (let frame = 0; frame <= framesPerSecond * seconds; frame++) {
+        const due = timestep.advance(frame * 1000 / framesPerSecond);
+        timestep.consume(due);
+        ticks += due;
+    }
+    return ticks;
+}
+
+test('the tick rate does not depend on the refresh rate', () => {
+    for (const framesPerSecond of [30, 60, 75, 120, 144]) {
+        const ticks = runFrames(new FixedTimestep({ ticksPerSecond: 60 }), framesPerSecond, 10);
+        assert.ok(Math.abs(ticks - 600) <= 1, `${framesPerSecond} Hz ran ${ticks} ticks`);
+    }
+});
+
+test('the rate can be changed while running', () => {
+    const timestep = new FixedTimestep({ ticksPerSecond: 60 });
+    timestep.setRate(300);
+
+    assert.ok(Math.abs(runFrames(timestep, 60, 2) - 600) <= 1);
+});
+
+test('a long frame does not cause a burst of ticks', () => {
+    const timestep = new FixedTimestep({ ticksPerSecond: 60, maxFrameTime: 100 });
+    timestep.advance(0);
+
+    assert.equal(timestep.advance(5000), 6);
+});
+
+test('ticks that were not run stay due, up to the frame time limit', () => {
+    const timestep = new FixedTimestep({ ticksPerSecond: 100, maxFrameTime: 100 });
+    timestep.advance(0);
+
+    assert.equal(timestep.advance(30), 3);
+    assert.equal(timestep.advance(60), 6);
+    assert.equal(timestep.advance(500), 10);
+    timestep.consume(10);
+    assert.equal(timestep.advance(510), 1);
+});
+
+test('reset forgets the time since the last frame', () => {
+    const timestep = new FixedTimestep({ ticksPerSecond: 60 });
+    timestep.advance(0);
+    timestep.advance(50);
+    timestep.reset();
+
+    assert.equal(timestep.advance(10000), 0);
+    assert.equal(timestep.advance(10050), 3);
+});
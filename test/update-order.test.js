@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS } from '../js/engine.js';
+import { GAS_PRESSURE_REACH } from '../js/grid.js';
+import { createFixture, runTicks } from './helpers.js';
+
+const { SAND, WATER, FIRE } = MATERIAL_IDS;
+
+function positionOf(grid, id) {
+    const i = grid.grid.indexOf(id);
+    return { x: i % grid.width, y: Math.floor(i / grid.width) };
+}
+
+test('fire rises one cell per tick', () => {
+    const grid = createFixture(['.', '.', '.', '.', '.', '.', 'f']);
+
+    for (let tick = 1; tick <= 3; tick++) {
+        runTicks(grid, 1);
+        assert.equal(positionOf(grid, FIRE).y, 6 - tick, `after ${tick} ticks`);
+    }
+});
+
+test('gas moves one cell per tick, or as far as pressure pushes it through its own kind', () => {
+    // A particle picked out by a life no other has, which moves with it
+    function followed(grid) {
+        for (let i = 0; i < grid.grid.length; i++) {
+            if (grid.life[i] === 99) return { x: i % grid.width, y: Math.floor(i / grid.width) };
+        }
+        return null;
+    }
+    
+    for (const { rows, start, limit } of [
+        // A lone particle, out of the reach of pressure
+        {
+            rows: Array.from({ length: 20 }, (_, y) => y === 15 ? '..........h..........' : '.....................'),
+            start: { x: 10, y: 15 },
+            limit: 1
+        },
+        // A particle in a packed tube of gas pushing out into its open end
+        {
+            rows: ['######################', '#MMMMMMMMMMMM........#', '######################'],
+            start: { x: 5, y: 1 },
+            limit: GAS_PRESSURE_REACH
+        }
+    ]) {
+        const grid = createFixture(rows);
+        grid.life[start.y * grid.width + start.x] = 99;
+        let { x, y } = start;
+        
+        for (let tick = 0; tick < 40; tick++) {
+            runTicks(grid, 1);
+            const next = followed(grid);
+            const step = Math.max(Math.abs(next.x - x), Math.abs(next.y - y));
+            assert.ok(step <= limit, `gas jumped ${step} cells, from (${x}, ${y}) to (${next.x}, ${next.y})`);
+            ({ x, y } = next);
+        }
+    }
+});
+
+test('a falling grain starts at gravity cells per tick and speeds up', () => {
+    const rows = Array.from({ length: 20 }, () => '...');
+    rows[0] = '.s.';
+    const grid = createFixture(rows, { gravity: 4 });
+    
+    runTicks(grid, 1);
+    assert.equal(positionOf(grid, SAND).y, 4);
+    runTicks(grid, 1);
+    assert.equal(positionOf(grid, SAND).y, 9);
+    runTicks(grid, 1);
+    assert.equal(positionOf(grid, SAND).y, 15);
+});
+
+test('liquid flows at most its dispersion per tick in either direction on every row', () => {
+    // One droplet on an even row and one on an odd row, which are scanned in opposite directions
+    for (const rows of [
+        ['..........w..........', '#####################'],
+        ['.....................', '..........w..........', '#####################']
+    ]) {
+        const grid = createFixture(rows);
+        const dispersion = grid.properties[WATER].dispersion;
+        let { x } = positionOf(grid, WATER);
+
+        for (let tick = 0; tick < 20; tick++) {
+            runTicks(grid, 1);
+            const next = positionOf(grid, WATER).x;
+            assert.ok(Math.abs(next - x) <= dispersion, `droplet jumped from ${x} to ${next}`);
+            x = next;
+        }
+    }
+});
+
+test('a particle is updated once per tick', () => {
+    const grid = createFixture(['.....', '..f..']);
+    const lifespan = grid.properties[FIRE].lifespan;
+    runTicks(grid, 10);
+
+    assert.equal(grid.life[grid.grid.indexOf(FIRE)], lifespan - 10);
+});
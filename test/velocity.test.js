@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATERIAL_IDS, serializeScene, deserializeScene } from '../js/engine.js';
+import { LocalSimulation } from '../js/simulation.js';
+import { createFixture, runTicks, toRows, countMaterial, surfaceRow } from './helpers.js';
+
+const { SAND, WATER } = MATERIAL_IDS;
+
+function open(width, height) {
+    const rows = Array.from({ length: height - 1 }, () => '.'.repeat(width));
+    rows.push('#'.repeat(width));
+    return rows;
+}
+
+test('a falling particle flies until it lands, then comes to rest', () => {
+    const rows = open(5, 30);
+    rows[0] = '..s..';
+    const grid = createFixture(rows);
+
+    runTicks(grid, 3);
+    const flying = grid.grid.indexOf(SAND);
+    assert.ok(grid.vy[flying] > 1, 'speeding up on the way down');
+
+    runTicks(grid, 30);
+    const landed = grid.grid.indexOf(SAND);
+    assert.equal(Math.floor(landed / grid.width), 28);
+    assert.equal(grid.vx[landed], 0);
+    assert.equal(grid.vy[landed], 0);
+});
+
+test('a thrown grain follows an arc', () => {
+    const grid = createFixture(open(40, 20));
+    grid.set(2, 17, SAND);
+    assert.ok(grid.launch(17 * grid.width + 2, 3, -3));
+
+    let highest = 17;
+    for (let tick = 0; tick < 40; tick++) {
+        runTicks(grid, 1);
+        highest = Math.min(highest, Math.floor(grid.grid.indexOf(SAND) / grid.width));
+    }
+
+    const landed = grid.grid.indexOf(SAND);
+    assert.ok(highest < 14, `rose to row ${highest}`);
+    assert.equal(Math.floor(landed / grid.width), 18);
+    assert.ok(landed % grid.width > 12, `landed at column ${landed % grid.width}`);
+    assert.equal(countMaterial(grid, SAND), 1);
+});
+
+test('only loose particles can be launched', () => {
+    const grid = createFixture(['#.', '..']);
+
+    assert.equal(grid.launch(0, 1, 1), false);
+    assert.equal(grid.launch(1, 1, 1), false); // empty
+    assert.equal(grid.vx[0], 0);
+});
+
+test('a drop falling into a pool splashes and the pool settles level', () => {
+    const rows = open(21, 40);
+    for (let y = 34; y < 39; y++) rows[y] = 'w'.repeat(21);
+    const grid = createFixture(rows, { seed: 3 });
+    for (let y = 0; y < 4; y++) grid.set(10, y, WATER);
+    const water = countMaterial(grid, WATER);
+
+    // Some of the pool is thrown up above its surface
+    let thrown = false;
+    for (let tick = 0; tick < 40 && !thrown; tick++) {
+        runTicks(grid, 1);
+        for (let x = 0; x < grid.width; x++) {
+            if (x !== 10 && surfaceRow(grid, x, WATER) < 33) thrown = true;
+        }
+    }
+    assert.ok(thrown, 'no water splashed up');
+
+    runTicks(grid, 400);
+    assert.equal(countMaterial(grid, WATER), water);
+    assert.ok(grid.vx.every(v => v === 0) && grid.vy.every(v => v === 0), 'still moving');
+    assert.deepEqual(toRows(grid).slice(0, 33), open(21, 40).slice(0, 33));
+});
+
+test('particles keep their velocity through a save and an undone erase', () => {
+    const simulation = new LocalSimulation(10, 30, { seed: 4 });
+    simulation.draw({ shape: 'circle', x: 5, y: 0, material: SAND, radius: 0 });
+    simulation.step(5);
+    
+    const grid = simulation.grid;
+    const index = grid.grid.indexOf(SAND);
+    const speed = grid.vy[index];
+    assert.ok(speed > 0);
+    
+    const { grid: loaded } = deserializeScene(serializeScene(grid, {}));
+    assert.equal(loaded.vy[index], speed);
+    
+    const x = index % grid.width;
+    const y = Math.floor(index / grid.width);
+    simulation.draw({ shape: 'rect', x1: x, y1: y, x2: x, y2: y, material: MATERIAL_IDS.EMPTY });
+    assert.equal(grid.vy[index], 0);
+    simulation.undo();
+    assert.equal(grid.grid[index], SAND);
+    assert.equal(grid.vy[index], speed);
+});